@@ -1,9 +1,25 @@
 const http = require('http')
+const https = require('https')
+const EventEmitter = require('events')
 const semver = require('semver')
 const defaults = require('lodash.defaults')
 const async = require('async')
 const pCall = require('promisify-call')
 const { errors } = require('couchbase')
+const driverErrors = require('./lib/errors')
+const MetricsCollector = require('./lib/metrics')
+const DocumentCache = require('./lib/cache')
+const SchemaRegistry = require('./lib/schemas')
+const { toRegExp } = require('./lib/patterns')
+const { getPath, setPath } = require('./lib/paths')
+const CompressionTranscoder = require('./lib/transcoder')
+const FieldEncryption = require('./lib/encryption')
+const { QueryStream, toAsyncIterator } = require('./lib/query')
+const QueryBuilder = require('./lib/querybuilder')
+const MemoryBucket = require('./lib/memory')
+const Sequence = require('./lib/sequence')
+const ConcurrencyLimiter = require('./lib/limiter')
+const { Lock, acquire } = require('./lib/lock')
 
 const debug = require('debug')('couchbase-driver')
 
@@ -22,33 +38,153 @@ const OPERATIONS = {
   NOOP: 'noop'
 }
 
+/**
+ * Enum for built-in retry backoff strategies
+ * @readonly
+ * @enum {string}
+ * @memberof Driver
+ */
+const BACKOFF = {
+  /** Wait the same interval between every retry */
+  FIXED: 'fixed',
+  /** Exponential backoff with full jitter */
+  EXPONENTIAL: 'exponential'
+}
+
+/**
+ * Enum for server capabilities, by the minimum server version supporting them
+ * @readonly
+ * @enum {string}
+ * @memberof Driver
+ */
+const CAPABILITIES = {
+  /** N1QL queries */
+  n1ql: '4.0.0',
+  /** Sub-document <code>lookupIn</code> and <code>mutateIn</code> */
+  subdoc: '4.5.0',
+  /** Extended attributes */
+  xattr: '5.0.0',
+  /** Full text search */
+  fts: '5.0.0',
+  /** Role based access control */
+  rbac: '5.0.0',
+  /** Eventing service */
+  eventing: '5.5.0',
+  /** Analytics service */
+  analytics: '6.0.0',
+  /** Durable writes with synchronous replication */
+  durableWrites: '6.5.0',
+  /** Distributed ACID transactions */
+  transactions: '6.5.0',
+  /** Scopes and collections */
+  collections: '7.0.0'
+}
+
 const defaultOptions = {
   tempRetryTimes: 5,
   tempRetryInterval: 50,
+  tempRetryBackoff: BACKOFF.FIXED,
+  tempRetryMaxInterval: 1000,
   retryTemporaryErrors: false,
   atomicRetryTimes: 5,
   atomicRetryInterval: 0,
+  atomicRetryBackoff: BACKOFF.FIXED,
+  atomicRetryMaxInterval: 1000,
   atomicLock: true,
   missing: true,
+  getChunkSize: 0,
+  getConcurrency: 5,
+  writeConcurrency: 5,
+  validateOnGet: false,
+  namespaceSeparator: '::',
+  historyPrefix: '_history::',
+  capabilitiesRefreshInterval: 300000,
   saveOptions: {}
 }
 
 const syncFunctions = [
   'disconnect',
+  'flush',
   'invalidateQueryCache',
   'lookupIn',
   'manager',
   'mutateIn',
   'query',
   'setTranscoder',
-  'touch'
+  'timeTravel'
+]
+
+const subdocFunctions = [
+  'lookupIn',
+  'mutateIn'
+]
+
+// proxied functions whose first argument is a string but not a document key
+const keylessFunctions = [
+  'enableN1ql'
+]
+
+// proxied functions that write the document value passed as the second argument
+const valueFunctions = [
+  'replace'
+]
+
+// proxied functions that call back with the document
+const documentFunctions = [
+  'getAndTouch',
+  'getReplica'
 ]
 
-class Driver {
+// the options of the retries of temporary errors passed on to the operations done by atomic
+const TEMP_RETRY_OPTIONS = ['retryTemporaryErrors', 'tempRetryTimes', 'tempRetryInterval', 'tempRetryBackoff',
+  'tempRetryMaxInterval']
+
+// the options of a single write passed on to the bucket by the multi-key writes
+const WRITE_OPTIONS = ['cas', 'expiry', 'persist_to', 'replicate_to']
+// the option with the document read by atomic, saved as the previous revision instead of reading it again
+const PREVIOUS = Symbol('previous')
+
+// expiry values above 30 days are absolute unix timestamps
+const MAX_RELATIVE_EXPIRY = 30 * 24 * 60 * 60
+
+const MANAGEMENT_HTTPS_PORT = 18091
+const MANAGEMENT_TIMEOUT = 10000
+
+const HEALTH_STATUS = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  UNHEALTHY: 'unhealthy'
+}
+
+const LOCK_DEFAULTS = {
+  ttl: 15000,
+  wait: 0,
+  retryInterval: 100,
+  renew: true
+}
+
+class Driver extends EventEmitter {
   /**
    * @classdesc A simple alternative driver for Couchbase that wraps the `Bucket` from existing driver and improves
    * <code>get</code> and <code>remove</code> methods and adds <code>atomic</code> method.
    *
+   * The driver is an <code>EventEmitter</code> and emits the following events for each operation with the
+   * <code>operation</code> name and <code>keyPrefix</code> of the document key, <code>*</code> for the operations on
+   * several keys with different prefixes:
+   * <ul>
+   * <li><code>operationStart</code></li>
+   * <li><code>operationSuccess</code> - with <code>duration</code> in milliseconds, and <code>misses</code> for
+   * <code>get</code></li>
+   * <li><code>operationError</code> - with <code>duration</code> in milliseconds and <code>error</code></li>
+   * <li><code>retry</code> - with <code>type</code> (<code>temp</code> or <code>atomic</code>), <code>attempt</code>,
+   * <code>delay</code> and <code>error</code></li>
+   * <li><code>atomicAttempt</code> - with <code>attempt</code></li>
+   * <li><code>cacheHit</code> and <code>cacheMiss</code> - when the cache is enabled</li>
+   * <li><code>validationDrift</code> - with <code>key</code> and <code>errors</code> when a document read by
+   * <code>get</code> fails schema validation and <code>validateOnGet</code> is enabled</li>
+   * <li><code>historyError</code> - with <code>key</code> and <code>error</code> when saving a revision fails</li>
+   * </ul>
+   *
    * @description
    * Constructs the new instance. This should not be called directly, but rather use <code>Driver.create()</code>.
    *
@@ -60,20 +196,127 @@ class Driver {
    *                                            See <code>async.retry</code>. Default: <code>5</code>.
    * @param {Number} options.tempRetryInterval - The time to wait between retries, in milliseconds, when backing off temporary errors .
    *                                               See <code>async.retry</code>. Default: <code>50</code>.
+   * @param {String|Function} options.tempRetryBackoff - The backoff strategy when backing off temporary errors. One of
+   *                                                     <code>BACKOFF</code> or a function
+   *                                                     <code>(attempt, err) => ms</code>. Default: <code>'fixed'</code>.
+   * @param {Number} options.tempRetryMaxInterval - The maximum time to wait between retries, in milliseconds, with
+   *                                                exponential backoff. Default: <code>1000</code>.
    * @param {Boolean} options.atomicLock - Whether to use <code>getAndLock</code> in <code>atomic()</code> or just the
    *                                       standard <code>get</code>. Default: <code>true</code>.
    * @param {Number} options.atomicRetryTimes - The number of attempts to make within <code>atomic()</code>.
    *                                            See <code>async.retry</code>. Default: <code>5</code>.
    * @param {Number} options.atomicRetryInterval - The time to wait between retries, in milliseconds, within <code>atomic()</code>.
    *                                               See <code>async.retry</code>. Default: <code>0</code>.
+   * @param {String|Function} options.atomicRetryBackoff - The backoff strategy for retries within <code>atomic()</code>.
+   *                                                       One of <code>BACKOFF</code> or a function
+   *                                                       <code>(attempt, err) => ms</code>. Default: <code>'fixed'</code>.
+   * @param {Number} options.atomicRetryMaxInterval - The maximum time to wait between retries, in milliseconds, with
+   *                                                  exponential backoff. Default: <code>1000</code>.
    * @param {Boolean} options.atomicLock - Whether to use <code>getAndLock</code> in <code>atomic()</code> or just the
    *                                       standard <code>get</code>. Default: <code>true</code>.
    * @param {Boolean} options.missing - Whether to return missing. If <code>false</code> Does not return.
    *                                    Useful for certain contexts. Defalt: <code>true</code>.
+   * @param {Number} options.getChunkSize - The maximum number of keys to fetch in a single <code>getMulti</code> call
+   *                                        in a multi-key get. <code>0</code> fetches all keys in one call.
+   *                                        Default: <code>0</code>.
+   * @param {Number} options.getConcurrency - The maximum number of chunks to fetch at the same time in a multi-key get.
+   *                                          Values below <code>1</code> use the default. Default: <code>5</code>.
+   * @param {Number} options.writeConcurrency - The maximum number of writes at the same time in <code>insertMulti</code>,
+   *                                            <code>upsertMulti</code> and <code>removeMulti</code>.
+   *                                            Default: <code>5</code>.
+   * @param {Boolean|Object} options.metrics - Whether to collect metrics in a <code>MetricsCollector</code> available
+   *                                          as <code>driver.metrics</code>. If an object it is passed as options to
+   *                                          the collector. Default: <code>false</code>.
+   * @param {Function} options.metricsKeyPrefix - Function that returns the key prefix reported in events and metrics
+   *                                              for a full document key, including <code>keyPrefix</code>.
+   *                                              Default: the part of the key before the first <code>:</code> or
+   *                                              <code>::</code>.
+   * @param {Boolean|Object} options.cache - Whether to cache documents read and written through the driver in a
+   *                                        <code>DocumentCache</code> available as <code>driver.cache</code>. If an
+   *                                        object it is passed as options to the cache. Default: <code>false</code>.
+   * @param {Object} options.schemas - JSON schemas of documents by key pattern, ie <code>{ 'user::*': schema }</code>.
+   *                                   See <code>addSchema()</code>.
+   * @param {Boolean} options.validateOnGet - Whether to validate documents read by <code>get</code> against the schemas
+   *                                          and emit <code>validationDrift</code> events for invalid ones.
+   *                                          Default: <code>false</code>.
+   * @param {String} options.keyPrefix - Prefix added to the document keys of all operations and removed from the keys
+   *                                     returned. Default: none.
+   * @param {String} options.namespace - Namespace of the document keys. Same as <code>keyPrefix</code> of the namespace
+   *                                     followed by <code>namespaceSeparator</code>. Default: none.
+   * @param {String} options.namespaceSeparator - The separator after the namespace. Default: <code>'::'</code>.
+   * @param {Object} options.history - The maximum number of revisions to keep by key pattern, ie
+   *                                   <code>{ 'contract::*': 10 }</code>. See <code>getRevisions()</code>.
+   * @param {String} options.historyPrefix - Prefix of the keys of the revision documents.
+   *                                         Default: <code>'_history::'</code>.
+   * @param {Boolean|Object} options.compression - Whether to gzip large documents using a
+   *                                              <code>CompressionTranscoder</code> set on the bucket and available as
+   *                                              <code>driver.transcoder</code>. If an object it is passed as options
+   *                                              to the transcoder. Default: <code>false</code>.
+   * @param {Object} options.encryption - Field level encryption options. Encrypted fields are decrypted on read so
+   *                                      <code>get</code>, <code>getAndLock</code>, <code>getAndTouch</code>,
+   *                                      <code>getReplica</code> and <code>atomic</code> transforms get plaintext
+   *                                      values. <code>replace</code> encrypts them too. Default: none.
+   * @param {Object} options.encryption.fields - The paths of the fields to encrypt with AES-256-GCM by key pattern, ie
+   *                                             <code>{ 'user::*': ['ssn', 'address.street'] }</code>.
+   * @param {String|Function} options.encryption.keyId - The id of the key to encrypt with, or a function that returns
+   *                                                     it. Stored with the encrypted fields.
+   * @param {Function} options.encryption.getKey - Key provider function <code>keyId => key</code> that returns the
+   *                                               32 byte <code>Buffer</code> key for the id. Can also return a
+   *                                               <code>Promise</code> or accept a callback as the second argument.
+   * @param {Object} options.management - Options of the requests to the management REST API made by
+   *                                      <code>getServerVersion</code>, <code>getClusterInfo</code> and
+   *                                      <code>healthCheck</code>. Default: none.
+   * @param {String} options.management.username - The user name. Default: the user name of the bucket.
+   * @param {String} options.management.password - The password. Default: the password of the bucket.
+   * @param {Boolean} options.management.https - Whether to use HTTPS. Default: <code>false</code>, unless the node
+   *                                             address is an <code>https</code> URL.
+   * @param {Number} options.management.port - The port. Default: the port of the node, or <code>18091</code> with
+   *                                           HTTPS.
+   * @param {String|Buffer} options.management.ca - The CA certificates trusted with HTTPS. Default: none.
+   * @param {Boolean} options.management.rejectUnauthorized - Whether to reject untrusted certificates with HTTPS.
+   *                                                          Default: <code>true</code>.
+   * @param {Number} options.management.timeout - The request timeout in milliseconds. Default: <code>10000</code>.
+   * @param {Number} options.capabilitiesRefreshInterval - The time to cache the server version used by
+   *                                                       <code>getCapabilities</code>, in milliseconds. <code>0</code>
+   *                                                       caches it for the lifetime of the driver.
+   *                                                       Default: <code>300000</code>.
+   * @param {Boolean|Object} options.concurrency - Whether to limit the number of key-value operations in flight with
+   *                                              a <code>ConcurrencyLimiter</code> available as
+   *                                              <code>driver.limiter</code>. If an object it is passed as options to
+   *                                              the limiter, ie <code>{ max: 100, queue: 1000 }</code>. Operations
+   *                                              over the queue limit fail with a <code>QueueFullError</code>.
+   *                                              Default: <code>false</code>.
    */
   constructor (bucket, options = {}) {
+    super()
     this.bucket = bucket
     this.config = defaults(options, defaultOptions)
+    this._hooks = { pre: {}, post: {} }
+    if (this.config.metrics) {
+      this.metrics = new MetricsCollector(isObject(this.config.metrics) ? this.config.metrics : {}).attach(this)
+    }
+    if (this.config.cache) {
+      this.cache = new DocumentCache(isObject(this.config.cache) ? this.config.cache : {})
+    }
+    if (this.config.concurrency) {
+      this.limiter = new ConcurrencyLimiter(isObject(this.config.concurrency) ? this.config.concurrency : {})
+    }
+    this._schemas = new SchemaRegistry(this.config.schemas)
+    this._keyPrefix = (this.config.keyPrefix || '') +
+      (this.config.namespace ? this.config.namespace + this.config.namespaceSeparator : '')
+    if (this.config.compression) {
+      this.transcoder = new CompressionTranscoder(isObject(this.config.compression) ? this.config.compression : {})
+      bucket.setTranscoder(this.transcoder.encode, this.transcoder.decode)
+    }
+    if (this.config.encryption) {
+      const { fields = {}, keyId, getKey } = this.config.encryption
+      this._encryption = new FieldEncryption(fields, keyId, (kid, fn) => invokeAsync(getKey, kid, fn))
+    }
+    const history = this.config.history || {}
+    this._history = Object.keys(history).map(pattern => ({ regex: toRegExp(pattern), limit: history[pattern] }))
+    this._capabilities = null
+    this._namespaces = new Map()
+    this._capabilitiesPending = null
   }
 
   /**
@@ -97,6 +340,169 @@ class Driver {
     return OPERATIONS
   }
 
+  /**
+   * Get server capability enums
+   * @example
+   * const Driver = require('couchbase-driver');
+   * console.log(Driver.CAPABILITIES.subdoc); // '4.5.0'
+   */
+  static get CAPABILITIES () {
+    return CAPABILITIES
+  }
+
+  /**
+   * Get error kind enums
+   * @example
+   * const Driver = require('couchbase-driver');
+   * if (err.kind === Driver.ERROR_KINDS.CAS_MISMATCH) console.log('conflict');
+   */
+  static get ERROR_KINDS () {
+    return driverErrors.ERROR_KINDS
+  }
+
+  /**
+   * Get the error classes. All Couchbase errors returned by the driver are instances of
+   * <code>CouchbaseError</code> or one of its subclasses.
+   * @example
+   * const Driver = require('couchbase-driver');
+   * if (err instanceof Driver.errors.CasMismatchError) console.log('conflict');
+   */
+  static get errors () {
+    return {
+      CouchbaseError: driverErrors.CouchbaseError,
+      KeyNotFoundError: driverErrors.KeyNotFoundError,
+      KeyExistsError: driverErrors.KeyExistsError,
+      CasMismatchError: driverErrors.CasMismatchError,
+      TemporaryError: driverErrors.TemporaryError,
+      LockedError: driverErrors.LockedError,
+      TimeoutError: driverErrors.TimeoutError,
+      ValueTooLargeError: driverErrors.ValueTooLargeError,
+      NetworkError: driverErrors.NetworkError,
+      AuthenticationError: driverErrors.AuthenticationError,
+      ValidationError: driverErrors.ValidationError,
+      EncryptionError: driverErrors.EncryptionError,
+      UnsupportedError: driverErrors.UnsupportedError,
+      LockTimeoutError: driverErrors.LockTimeoutError,
+      LockNotOwnedError: driverErrors.LockNotOwnedError,
+      QueueFullError: driverErrors.QueueFullError
+    }
+  }
+
+  /**
+   * Get the <code>MetricsCollector</code> class
+   * @example
+   * const Driver = require('couchbase-driver');
+   * const collector = new Driver.MetricsCollector().attach(driver);
+   * console.log(collector.toPrometheus());
+   */
+  static get MetricsCollector () {
+    return MetricsCollector
+  }
+
+  /**
+   * Get the <code>DocumentCache</code> class
+   * @example
+   * const Driver = require('couchbase-driver');
+   * const driver = Driver.create(bucket, { cache: { max: 500, prefixTtl: { 'config::': 300000 } } });
+   * driver.cache.clear();
+   */
+  static get DocumentCache () {
+    return DocumentCache
+  }
+
+  /**
+   * Get the <code>CompressionTranscoder</code> class
+   * @example
+   * const Driver = require('couchbase-driver');
+   * const transcoder = new Driver.CompressionTranscoder({ threshold: 1024 });
+   * bucket.setTranscoder(transcoder.encode, transcoder.decode);
+   */
+  static get CompressionTranscoder () {
+    return CompressionTranscoder
+  }
+
+  /**
+   * Get the <code>MemoryBucket</code> class
+   * @example
+   * const driver = Driver.create(new Driver.MemoryBucket({ name: 'test' }));
+   */
+  static get MemoryBucket () {
+    return MemoryBucket
+  }
+
+  /**
+   * Get the <code>QueryBuilder</code> class
+   * @example
+   * const { raw } = Driver.QueryBuilder;
+   * driver.select(raw('COUNT(*) AS total')).where('type', 'user');
+   */
+  static get QueryBuilder () {
+    return QueryBuilder
+  }
+
+  /**
+   * Get the <code>Sequence</code> class
+   * @example
+   * const Driver = require('couchbase-driver');
+   * console.log(driver.sequence('invoice') instanceof Driver.Sequence); // true
+   */
+  static get Sequence () {
+    return Sequence
+  }
+
+  /**
+   * Get the <code>Lock</code> class of the handles returned by <code>lock</code>
+   * @example
+   * const Driver = require('couchbase-driver');
+   * const lock = await driver.lock('job::nightly');
+   * console.log(lock instanceof Driver.Lock); // true
+   */
+  static get Lock () {
+    return Lock
+  }
+
+  /**
+   * Get the <code>ConcurrencyLimiter</code> class
+   * @example
+   * const Driver = require('couchbase-driver');
+   * const driver = Driver.create(bucket, { concurrency: { max: 50, queue: 500 } });
+   * console.log(driver.limiter instanceof Driver.ConcurrencyLimiter); // true
+   */
+  static get ConcurrencyLimiter () {
+    return ConcurrencyLimiter
+  }
+
+  /**
+   * Get the prefix added to the document keys, including the namespace
+   * @example
+   * const driver = Driver.create(bucket, { namespace: 'billing' });
+   * console.log(driver.keyPrefix); // 'billing::'
+   */
+  get keyPrefix () {
+    return this._keyPrefix
+  }
+
+  /**
+   * Get retry backoff enums
+   * @example
+   * const Driver = require('couchbase-driver');
+   * const driver = Driver.create(bucket);
+   * console.log(driver.BACKOFF.EXPONENTIAL);
+   */
+  get BACKOFF () {
+    return BACKOFF
+  }
+
+  /**
+   * Get retry backoff enums
+   * @example
+   * const Driver = require('couchbase-driver');
+   * const driver = Driver.create(bucket, { tempRetryBackoff: Driver.BACKOFF.EXPONENTIAL });
+   */
+  static get BACKOFF () {
+    return BACKOFF
+  }
+
   /**
    * Determines if error is a "key not found" error
    * @param {Error} err - the error to check
@@ -144,6 +550,126 @@ class Driver {
     return tempError
   }
 
+  /**
+   * Determines if error is a "CAS mismatch" error, meaning the document was changed since the CAS value was obtained
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isCasMismatch(err);
+   */
+  static isCasMismatch (err) {
+    return driverErrors.classify(err) === driverErrors.ERROR_KINDS.CAS_MISMATCH
+  }
+
+  /**
+   * Determines if error is a "key already exists" error
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isKeyExists(err);
+   */
+  static isKeyExists (err) {
+    return driverErrors.classify(err) === driverErrors.ERROR_KINDS.KEY_EXISTS
+  }
+
+  /**
+   * Determines if error is a "locked document" error
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isLocked(err);
+   */
+  static isLocked (err) {
+    return driverErrors.classify(err) === driverErrors.ERROR_KINDS.LOCKED
+  }
+
+  /**
+   * Determines if error is a timeout error
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isTimeout(err);
+   */
+  static isTimeout (err) {
+    return driverErrors.classify(err) === driverErrors.ERROR_KINDS.TIMEOUT
+  }
+
+  /**
+   * Determines if error is a "value too large" error
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isValueTooLarge(err);
+   */
+  static isValueTooLarge (err) {
+    return driverErrors.classify(err) === driverErrors.ERROR_KINDS.VALUE_TOO_LARGE
+  }
+
+  /**
+   * Determines if error is a network or cluster unavailable error
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isNetworkError(err);
+   */
+  static isNetworkError (err) {
+    return driverErrors.classify(err) === driverErrors.ERROR_KINDS.NETWORK
+  }
+
+  /**
+   * Determines if error is an authentication error
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isAuthenticationError(err);
+   */
+  static isAuthenticationError (err) {
+    return driverErrors.classify(err) === driverErrors.ERROR_KINDS.AUTHENTICATION
+  }
+
+  /**
+   * Determines if error is a schema validation error
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isValidationError(err);
+   */
+  static isValidationError (err) {
+    return err instanceof driverErrors.ValidationError
+  }
+
+  /**
+   * Determines if error is the error of <code>requires</code> for features not supported by the cluster
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isUnsupportedError(err);
+   */
+  static isUnsupportedError (err) {
+    return err instanceof driverErrors.UnsupportedError
+  }
+
+  /**
+   * Determines if error is the error of <code>lock</code> for a lock not acquired within the wait time
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isLockTimeout(err);
+   */
+  static isLockTimeout (err) {
+    return err instanceof driverErrors.LockTimeoutError
+  }
+
+  /**
+   * Determines if error is the error of releasing or extending a lock held by another owner
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isLockNotOwned(err);
+   */
+  static isLockNotOwned (err) {
+    return err instanceof driverErrors.LockNotOwnedError
+  }
+
+  /**
+   * Determines if error is the error of an operation rejected because the queue of the concurrency limiter is full
+   * @param {Error} err - the error to check
+   * @example
+   * Driver.isQueueFull(err);
+   */
+  static isQueueFull (err) {
+    return err instanceof driverErrors.QueueFullError
+  }
+
   /**
    * A simplified get. Properly handles key not found errors. In case of multi call, returns array of found
    * and an array of misses.
@@ -152,6 +678,14 @@ class Driver {
    * @param {Boolean} options.missing - Whether to return missing. If <code>false</code> Does not return.
    *                                    Useful for certain contexts. This option takes presidence over the one set in
    *                                    constructor. Default: <code>true</code>.
+   * @param {Number} options.getChunkSize - The maximum number of keys per <code>getMulti</code> call in a multi-key get.
+   *                                        Overrides the one set in constructor.
+   * @param {Number} options.getConcurrency - The maximum number of chunks fetched at the same time in a multi-key get.
+   *                                          Overrides the one set in constructor.
+   * @param {Boolean} options.cache - Whether to serve the documents from the cache, if enabled. The cache is updated
+   *                                  with the fetched documents either way. Default: <code>true</code>.
+   * @param {Boolean} options.validateOnGet - Whether to validate the documents against the schemas.
+   *                                          Overrides the one set in constructor.
    * @param {Function} fn callback
    * @example
    * driver.get('my_doc_key', (err, res) => {
@@ -166,7 +700,33 @@ class Driver {
    * });
    */
   get (keys, options, fn) {
-    return pCall(this, getDocument, ...arguments)
+    return pCall(this, hooked.get, ...arguments)
+  }
+
+  /**
+   * A multi get that returns the results keyed by document key. The returned <code>Map</code> keeps the order of the
+   * input keys. Each entry is either <code>{ value, cas }</code> for a found document, <code>{ error }</code> for a
+   * key that failed, or <code>{ missing: true }</code> for a key that does not exist.
+   * @param {String|Array} keys - a single key or multiple keys
+   * @param {Object} options - Options
+   * @param {Boolean} options.missing - Whether to include missing keys in the result. This option takes presidence
+   *                                    over the one set in constructor. Default: <code>true</code>.
+   * @param {Number} options.getChunkSize - The maximum number of keys per <code>getMulti</code> call.
+   *                                        Overrides the one set in constructor.
+   * @param {Number} options.getConcurrency - The maximum number of chunks fetched at the same time.
+   *                                          Overrides the one set in constructor.
+   * @param {Boolean} options.cache - Whether to serve the documents from the cache, if enabled. The cache is updated
+   *                                  with the fetched documents either way. Default: <code>true</code>.
+   * @param {Function} fn callback
+   * @example
+   * driver.getMap(['my_doc_key_1', 'my_missing_doc_key_2'], (err, res) => {
+   *   if (err) return console.log(err);
+   *   console.dir(res.get('my_doc_key_1').value);
+   *   console.log(res.get('my_missing_doc_key_2').missing); // true
+   * });
+   */
+  getMap (keys, options, fn) {
+    return pCall(this, instrumented.getMap, ...arguments)
   }
 
   /**
@@ -181,13 +741,14 @@ class Driver {
    * });
    */
   getAndLock (key, options, fn) {
-    return pCall(this, getAndLock, ...arguments)
+    return pCall(this, hooked.getAndLock, ...arguments)
   }
 
   /**
    * Our implementation of <code>Bucket.remove</code> that properly ignores key not found errors.
    * @param {String} key - document key to remove
    * @param {Object} options - Options to pass to <code>Bucket.remove</code>
+   * @param {String} options.actor - The actor recorded in the revision, if history is enabled for the key
    * @param {Function} fn - callback
    * @example
    * driver.remove('my_doc_key', (err, res) => {
@@ -195,7 +756,7 @@ class Driver {
    * });
    */
   remove (key, options, fn) {
-    return pCall(this, remove, ...arguments)
+    return pCall(this, hooked.remove, ...arguments)
   }
 
   /**
@@ -210,7 +771,7 @@ class Driver {
    * });
    */
   insert (key, value, options, fn) {
-    return pCall(this, insert, ...arguments)
+    return pCall(this, hooked.insert, ...arguments)
   }
 
   /**
@@ -218,6 +779,7 @@ class Driver {
    * @param {String} key - document key to upsert
    * @param {String} value - document contents to upsert
    * @param {Object} options - Options to pass to <code>Bucket.upsert</code>
+   * @param {String} options.actor - The actor recorded in the revision, if history is enabled for the key
    * @param {Function} fn - callback
    * @example
    * driver.upsert('my_doc_key', "doc_contents", (err, res) => {
@@ -225,7 +787,74 @@ class Driver {
    * });
    */
   upsert (key, value, options, fn) {
-    return pCall(this, upsert, ...arguments)
+    return pCall(this, hooked.upsert, ...arguments)
+  }
+
+  /**
+   * Inserts multiple documents with a concurrency limit. Uses our <code>insert</code> so it can recover from temporary
+   * errors. Does not fail on the first error, but rather returns a <code>Map</code> of results keyed by document key
+   * in the input order. Each entry is either <code>{ cas }</code> on success or <code>{ error }</code> on failure.
+   * @param {Object|Map|Array} items - documents to insert. Either an object or a <code>Map</code> of key to value,
+   *                                   or an array of <code>{ key, value, options }</code>.
+   * @param {Object} options - Options to pass to <code>Bucket.insert</code> for every document.
+   *                           Per document <code>options</code> take precedence.
+   * @param {Number} options.writeConcurrency - The maximum number of writes at the same time.
+   *                                            Overrides the one set in constructor.
+   * @param {Function} fn - callback
+   * @example
+   * driver.insertMulti({ my_doc_key_1: 'doc_contents_1', my_doc_key_2: 'doc_contents_2' }, (err, res) => {
+   *   if (err) return console.log(err);
+   *   if (res.get('my_doc_key_1').error) console.log(res.get('my_doc_key_1').error);
+   * });
+   */
+  insertMulti (items, options, fn) {
+    return pCall(this, hooked.insertMulti, ...arguments)
+  }
+
+  /**
+   * Upserts multiple documents with a concurrency limit. Uses our <code>upsert</code> so it can recover from temporary
+   * errors. Does not fail on the first error, but rather returns a <code>Map</code> of results keyed by document key
+   * in the input order. Each entry is either <code>{ cas }</code> on success or <code>{ error }</code> on failure.
+   * @param {Object|Map|Array} items - documents to upsert. Either an object or a <code>Map</code> of key to value,
+   *                                   or an array of <code>{ key, value, options }</code>.
+   * @param {Object} options - Options to pass to <code>Bucket.upsert</code> for every document.
+   *                           Per document <code>options</code> take precedence.
+   * @param {Number} options.writeConcurrency - The maximum number of writes at the same time.
+   *                                            Overrides the one set in constructor.
+   * @param {Function} fn - callback
+   * @example
+   * const docs = [
+   *   { key: 'my_doc_key_1', value: 'doc_contents_1' },
+   *   { key: 'my_doc_key_2', value: 'doc_contents_2', options: { expiry: 60 } }
+   * ];
+   * driver.upsertMulti(docs, (err, res) => {
+   *   if (err) return console.log(err);
+   *   console.dir(res.get('my_doc_key_2').cas);
+   * });
+   */
+  upsertMulti (items, options, fn) {
+    return pCall(this, hooked.upsertMulti, ...arguments)
+  }
+
+  /**
+   * Removes multiple documents with a concurrency limit. Uses our <code>remove</code> so key not found errors are
+   * treated as success. Does not fail on the first error, but rather returns a <code>Map</code> of results keyed by
+   * document key in the input order. Each entry is either <code>{ cas }</code> on success or <code>{ error }</code> on
+   * failure.
+   * @param {Array} keys - keys of documents to remove. Either an array of keys or an array of
+   *                       <code>{ key, options }</code>.
+   * @param {Object} options - Options to pass to <code>Bucket.remove</code> for every document.
+   *                           Per document <code>options</code> take precedence.
+   * @param {Number} options.writeConcurrency - The maximum number of removes at the same time.
+   *                                            Overrides the one set in constructor.
+   * @param {Function} fn - callback
+   * @example
+   * driver.removeMulti(['my_doc_key_1', 'my_doc_key_2'], (err, res) => {
+   *   if (err) return console.log(err);
+   * });
+   */
+  removeMulti (keys, options, fn) {
+    return pCall(this, hooked.removeMulti, ...arguments)
   }
 
   /**
@@ -233,20 +862,29 @@ class Driver {
    * the function <code>transform</code> on the value and then write using the CAS value in the <code>upsert</code>.
    * If the final document operation fails due to a <code>CAS</code> error, the whole process is retried.
    * @param {String} key - document key
-   * @param {Function} transform - synchronous function to be performend on the document value. Function accepts the
+   * @param {Function} transform - function to be performend on the document value. Function accepts the
    *                               document or <code>undefined</code> if the document was not found. The function
    *                               should perform any necessary mutation and return an object with <code>value</code>
    *                               and <code>action</code>. <code>value</code> is the new value of the document.
    *                               <code>action</code> should be one of <code>OPERATIONS</code> specifying the action
-   *                               to take with the new value.
+   *                               to take with the new value. The function can also return a <code>Promise</code>
+   *                               or return nothing and call the callback passed as the second argument. If it
+   *                               fails, or the new value fails schema validation, the document is unlocked, nothing
+   *                               is written and the operation is not retried.
    * @param {String} options - Options
    * @param {Number} options.atomicRetryTimes - The number of attempts to make within <code>atomic()</code>.
    *                                            See <code>async.retry</code>. Default: <code>5</code>.
    * @param {Number} options.atomicRetryInterval - The time to wait between retries, in milliseconds, within <code>atomic()</code>.
    *                                               See <code>async.retry</code>. Default: <code>0</code>.
+   * @param {String|Function} options.atomicRetryBackoff - The backoff strategy for retries within <code>atomic()</code>.
+   *                                                       One of <code>BACKOFF</code> or a function
+   *                                                       <code>(attempt, err) => ms</code>. Default: <code>'fixed'</code>.
+   * @param {Number} options.atomicRetryMaxInterval - The maximum time to wait between retries, in milliseconds, with
+   *                                                  exponential backoff. Default: <code>1000</code>.
    * @param {Boolean} options.atomicLock - Whether to use <code>getAndLock</code> in <code>atomic()</code> or just the
    *                                       standard <code>get</code>. Default: <code>true</code>.
    * @param {Object} options.saveOptions - bucket save options
+   * @param {String} options.actor - The actor recorded in the revision, if history is enabled for the key
    * @param {Function} fn - callback
    * @example
    * function transform(doc) {
@@ -261,37 +899,494 @@ class Driver {
    *   if(err) return console.log(err);
    *   console.dir(res);
    * });
+   * @example
+   * async function transform(doc) {
+   *   doc.rate = await getExchangeRate();
+   *   return {
+   *     value: doc,
+   *     action: OPERATIONS.UPSERT
+   *   };
+   * }
+   *
+   * const res = await driver.atomic('my_doc_key', transform, {});
    */
   atomic (key, transform, options, fn) {
-    return pCall(this, atomic, ...arguments)
-  }
-
-  _atomicWithLock (key, transform, options, fn) {
-    return pCall(this, _atomicWithLock, ...arguments)
-  }
-
-  _atomicNoLock (key, transform, options, fn) {
-    return pCall(this, _atomicNoLock, ...arguments)
+    return pCall(this, hooked.atomic, ...arguments)
   }
 
   /**
-   * Attempts to get the lowest couchbase server version from the nodes in the cluster.
-   *
-   * **Warning**
-   * This depends on undocumented internals of Node.js couchbase library
-   * @param {Function} fn - callback
+   * Performs an "atomic" operation on multiple documents. Tries to first lock (or get) all the documents given the
+   * <code>keys</code>, then perform the function <code>transform</code> on all the values and then apply the writes
+   * in order using the CAS values. If one of the writes fails, the writes that already succeeded are rolled back and
+   * the whole process is retried.
+   * @param {Array} keys - document keys
+   * @param {Function} transform - function to be performend on the document values. Function accepts an
+   *                               array of the values in the order of <code>keys</code>, with <code>undefined</code>
+   *                               for documents that were not found. The function should return an array with an
+   *                               object with <code>value</code> and <code>action</code> for each key, in the same
+   *                               order. <code>action</code> should be one of <code>OPERATIONS</code> specifying the
+   *                               action to take with the new value. Like in <code>atomic()</code> the function can
+   *                               also return a <code>Promise</code> or accept a callback.
+   * @param {String} options - Options
+   * @param {Number} options.atomicRetryTimes - The number of attempts to make within <code>atomicMulti()</code>.
+   *                                            See <code>async.retry</code>. Default: <code>5</code>.
+   * @param {Number} options.atomicRetryInterval - The time to wait between retries, in milliseconds, within
+   *                                               <code>atomicMulti()</code>. See <code>async.retry</code>.
+   *                                               Default: <code>0</code>.
+   * @param {String|Function} options.atomicRetryBackoff - The backoff strategy for retries within <code>atomic()</code>.
+   *                                                       One of <code>BACKOFF</code> or a function
+   *                                                       <code>(attempt, err) => ms</code>. Default: <code>'fixed'</code>.
+   * @param {Number} options.atomicRetryMaxInterval - The maximum time to wait between retries, in milliseconds, with
+   *                                                  exponential backoff. Default: <code>1000</code>.
+   * @param {Boolean} options.atomicLock - Whether to use <code>getAndLock</code> in <code>atomicMulti()</code> or just
+   *                                       the standard <code>get</code>. Default: <code>true</code>.
+   * @param {Object} options.saveOptions - bucket save options
+   * @param {Function} fn - callback. Called with an array of results in the order of <code>keys</code>. If rolling
+   *                        back fails the error has a <code>compensationErrors</code> property and is not retried.
    * @example
-   * driver.getServerVersion((err, version) => {
+   * function transform([order, inventory]) {
+   *   order.status = 'reserved';
+   *   inventory.count -= order.quantity;
+   *   return [
+   *     { value: order, action: OPERATIONS.UPSERT },
+   *     { value: inventory, action: OPERATIONS.UPSERT }
+   *   ];
+   * }
+   *
+   * driver.atomicMulti(['order::1', 'inventory::1'], transform, (err, res) => {
    *   if(err) return console.log(err);
-   *   console.log(version);
+   *   console.dir(res);
    * });
    */
-  getServerVersion (fn) {
-    return pCall(this, getServerVersion, ...arguments)
+  atomicMulti (keys, transform, options, fn) {
+    return pCall(this, instrumented.atomicMulti, ...arguments)
   }
 
   /**
-   * Create a Driver object by wrapping the Couchbase bucket and creates a new <code>Driver</code> instance and
+   * Performs an "atomic" operation on the paths of a document. Gets only the paths with <code>lookupIn</code>, performs
+   * the <code>transform</code> on their values and writes the changes with <code>mutateIn</code> using the
+   * <code>CAS</code> value. If the write fails due to a <code>CAS</code> error, the whole process is retried like in
+   * <code>atomic()</code>. Falls back to <code>atomic()</code> on the whole document if the cluster does not support
+   * sub-document operations, for keys with schemas, encrypted fields or history, with compression, and when hooks are
+   * registered for <code>atomic</code> or <code>upsert</code>, which need the whole document.
+   * @param {String} key - document key
+   * @param {String|Array} paths - the N1QL style paths to get, ie <code>stats.logins</code> or <code>tags[0]</code>
+   * @param {Function} transform - function to be performed on the values. Function accepts an object with the value
+   *                               of each path, <code>undefined</code> for paths that do not exist. The function
+   *                               should return an object with the new values of the paths to change, where
+   *                               <code>undefined</code> removes the path, or nothing to leave the document as is.
+   *                               Missing parents of the paths are created. The function can also return a
+   *                               <code>Promise</code> or accept a callback as the second argument. If it fails,
+   *                               nothing is written and the operation is not retried.
+   * @param {Object} options - Options
+   * @param {Number} options.atomicRetryTimes - The number of attempts to make. Default: <code>5</code>.
+   * @param {Number} options.atomicRetryInterval - The time to wait between retries, in milliseconds.
+   *                                               Default: <code>0</code>.
+   * @param {String|Function} options.atomicRetryBackoff - The backoff strategy for retries. One of
+   *                                                       <code>BACKOFF</code> or a function
+   *                                                       <code>(attempt, err) => ms</code>. Default: <code>'fixed'</code>.
+   * @param {Number} options.atomicRetryMaxInterval - The maximum time to wait between retries, in milliseconds, with
+   *                                                  exponential backoff. Default: <code>1000</code>.
+   * @param {Function} fn - callback. Called with the values of the paths after the changes.
+   * @example
+   * const values = await driver.atomicPath('user::1', ['stats.logins', 'tags'], values => ({
+   *   'stats.logins': (values['stats.logins'] || 0) + 1,
+   *   tags: (values.tags || []).concat('active')
+   * }), {});
+   */
+  atomicPath (key, paths, transform, options, fn) {
+    return pCall(this, atomicPath, ...arguments)
+  }
+
+  /**
+   * Gets the revisions of a document with history enabled using the <code>history</code> option. Every successful
+   * <code>upsert</code> or <code>remove</code>, including the ones done by <code>atomic</code>, of an existing
+   * document saves the previous value as a revision. Writes without a <code>cas</code> lock the document while the
+   * previous value is read. Revisions are returned newest first as
+   * <code>{ key, rev, timestamp, operation, actor, value }</code> where <code>value</code> is the value of the
+   * document before the <code>operation</code> and <code>actor</code> is the <code>actor</code> option of the
+   * operation, if any.
+   * @param {String} key - document key
+   * @param {Function} fn - callback
+   * @example
+   * driver.upsert('contract::1', contract, { actor: 'bob' }, err => {
+   *   driver.getRevisions('contract::1', (err, revisions) => {
+   *     if (err) return console.log(err);
+   *     console.log(revisions[0].actor); // 'bob'
+   *   });
+   * });
+   */
+  getRevisions (key, fn) {
+    return pCall(this, getRevisions, ...arguments)
+  }
+
+  /**
+   * Restores the document to the value of the revision using <code>atomic</code>. The restore itself saves a new
+   * revision.
+   * @param {String} key - document key
+   * @param {Number} rev - the revision number
+   * @param {Object} options - Options to pass to <code>atomic</code>
+   * @param {String} options.actor - The actor recorded in the new revision
+   * @param {Function} fn - callback
+   * @example
+   * driver.restoreRevision('contract::1', 3, { actor: 'alice' }, (err, res) => {
+   *   if (err) return console.log(err);
+   * });
+   */
+  restoreRevision (key, rev, options, fn) {
+    return pCall(this, restoreRevision, ...arguments)
+  }
+
+  _atomicWithLock (key, transform, options, fn) {
+    return pCall(this, _atomicWithLock, ...arguments)
+  }
+
+  _atomicNoLock (key, transform, options, fn) {
+    return pCall(this, _atomicNoLock, ...arguments)
+  }
+
+  /**
+   * Creates a driver scoped to the namespace within the namespace of this driver. The scoped driver adds the prefix
+   * to the document keys of all operations, including the functions proxied from the <code>Bucket</code>, and removes
+   * it from the keys it returns, such as misses. It shares the bucket, options, hooks, schemas, cache, metrics and
+   * concurrency limiter with this driver. Calls with the same name return the same scoped driver.
+   * @param {String} name - the namespace
+   * @returns {Driver} the scoped driver
+   * @example
+   * const billing = driver.namespace('billing');
+   * billing.get('invoice::1', (err, res) => { // gets 'billing::invoice::1'
+   *   if (err) return console.log(err);
+   *   console.dir(res.value);
+   * });
+   */
+  namespace (name) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('Namespace must be a non-empty string')
+    }
+
+    if (this._namespaces.has(name)) {
+      return this._namespaces.get(name)
+    }
+
+    const scoped = new Driver(this.bucket, Object.assign({}, this.config, {
+      keyPrefix: this._keyPrefix + name + this.config.namespaceSeparator,
+      namespace: undefined,
+      schemas: undefined,
+      metrics: false,
+      cache: false,
+      concurrency: false,
+      compression: false
+    }))
+    scoped._hooks = this._hooks
+    scoped._schemas = this._schemas
+    if (this.cache) {
+      scoped.cache = this.cache
+    }
+    if (this.limiter) {
+      scoped.limiter = this.limiter
+    }
+    if (this.transcoder) {
+      scoped.transcoder = this.transcoder
+    }
+    if (this.metrics) {
+      scoped.metrics = this.metrics.attach(scoped)
+    }
+    // the scoped drivers are kept so the metrics collector does not collect a new one on every call
+    this._namespaces.set(name, scoped)
+    return scoped
+  }
+
+  /**
+   * Registers a JSON schema for documents with keys matching the pattern. <code>insert</code>, <code>upsert</code>,
+   * <code>atomic</code> and the functions using them validate the values against all the matching schemas and fail
+   * with a <code>ValidationError</code> listing the failing paths without writing the document.
+   * @param {String} pattern - key pattern where <code>*</code> matches any characters. It is matched against the full
+   *                           document key, including the <code>keyPrefix</code>.
+   * @param {Object} schema - the JSON schema
+   * @returns {Driver} the driver
+   * @example
+   * driver.addSchema('user::*', {
+   *   type: 'object',
+   *   required: ['email'],
+   *   properties: { email: { type: 'string' } }
+   * });
+   */
+  addSchema (pattern, schema) {
+    this._schemas.add(pattern, schema)
+    return this
+  }
+
+  /**
+   * Registers a hook to be run before the operation. Hooks are run in the order they were registered and get a
+   * <code>context</code> object with <code>operation</code>, <code>key</code>, <code>options</code> and depending on the
+   * operation <code>value</code>, <code>transform</code>, or <code>items</code> or <code>keys</code> of the multi-key
+   * writes. Hooks can change the properties of the
+   * <code>context</code> to change the arguments of the operation, or throw an error to cancel the operation.
+   * Hooks can be synchronous, return a <code>Promise</code> or accept a callback as the second argument.
+   * Hooks run once around the operation called, not around the reads and writes it does internally, ie
+   * <code>atomic</code> runs the <code>atomic</code> hooks only.
+   * @param {String|Array} operations - one or more of <code>get</code>, <code>getAndLock</code>, <code>insert</code>,
+   *                                    <code>upsert</code>, <code>remove</code>, <code>atomic</code>,
+   *                                    <code>insertMulti</code>, <code>upsertMulti</code> and <code>removeMulti</code>
+   * @param {Function} fn - the hook
+   * @returns {Driver} the driver
+   * @example
+   * driver.pre(['insert', 'upsert'], context => {
+   *   if (context.key.startsWith('system::')) {
+   *     throw new Error('Protected key');
+   *   }
+   *   context.value.updatedAt = Date.now();
+   * });
+   */
+  pre (operations, fn) {
+    return addHook.call(this, 'pre', operations, fn)
+  }
+
+  /**
+   * Registers a hook to be run after the operation. Hooks are run in the order they were registered and get the same
+   * <code>context</code> object as the <code>pre</code> hooks, with the result of the operation as <code>error</code>
+   * and <code>result</code>, and <code>misses</code> for multi-key <code>get</code>. Hooks can change these
+   * properties to change the result of the operation, or throw an error to fail the operation.
+   * Hooks can be synchronous, return a <code>Promise</code> or accept a callback as the second argument.
+   * Hooks run once around the operation called, not around the reads and writes it does internally, ie
+   * <code>atomic</code> runs the <code>atomic</code> hooks only.
+   * @param {String|Array} operations - one or more of <code>get</code>, <code>getAndLock</code>, <code>insert</code>,
+   *                                    <code>upsert</code>, <code>remove</code>, <code>atomic</code>,
+   *                                    <code>insertMulti</code>, <code>upsertMulti</code> and <code>removeMulti</code>
+   * @param {Function} fn - the hook
+   * @returns {Driver} the driver
+   * @example
+   * driver.post('get', context => {
+   *   if (context.result && context.result.value) {
+   *     delete context.result.value.password;
+   *   }
+   * });
+   */
+  post (operations, fn) {
+    return addHook.call(this, 'post', operations, fn)
+  }
+
+  /**
+   * Runs the query and returns the rows as a <code>QueryStream</code>. The stream emits an <code>error</code> if the
+   * query fails and a <code>meta</code> event with the query metadata, such as <code>metrics</code> and
+   * <code>warnings</code>, once all the rows have been received.
+   * @param {Object} query - the <code>N1qlQuery</code> or <code>ViewQuery</code>
+   * @param {Object|Array} params - the query parameters, if any
+   * @param {Object} options - Options passed to the stream, ie <code>highWaterMark</code>
+   * @returns {QueryStream} the stream of rows
+   * @example
+   * const query = N1qlQuery.fromString('SELECT * FROM default WHERE type = $1');
+   * driver.queryStream(query, ['user'])
+   *   .on('data', row => console.dir(row))
+   *   .on('meta', meta => console.dir(meta.metrics))
+   *   .on('error', err => console.log(err));
+   */
+  queryStream (query, params, options) {
+    return queryStream.call(this, query, params, options)
+  }
+
+  /**
+   * Runs the query and returns an async iterator of the rows. Iterating rejects if the query fails. The query
+   * metadata is available as <code>meta</code> of the iterator once all the rows have been received. Stopping the
+   * iteration early stops reading the rows. The iterator works with <code>for await</code> on Node 10 and later.
+   * @param {Object} query - the <code>N1qlQuery</code> or <code>ViewQuery</code>
+   * @param {Object|Array} params - the query parameters, if any
+   * @param {Object} options - Options passed to the underlying stream, ie <code>highWaterMark</code>
+   * @returns {AsyncIterator} the async iterator of rows
+   * @example
+   * const rows = driver.queryIterator(query, ['user']);
+   * for await (const row of rows) {
+   *   console.dir(row);
+   * }
+   * console.dir(rows.meta.metrics);
+   */
+  queryIterator (query, params, options) {
+    return toAsyncIterator(queryStream.call(this, query, params, options))
+  }
+
+  /**
+   * Starts building a <code>SELECT</code> N1QL query on the bucket of the driver. Identifiers are quoted and values
+   * are bound as named parameters. The query is run with the <code>query</code> function of the driver.
+   * @param {...String} fields - the fields to select. Default: <code>*</code>.
+   * @returns {QueryBuilder} the query builder
+   * @example
+   * driver.select('name', 'email')
+   *   .from(bucket)
+   *   .where('type', '=', 'user')
+   *   .orderBy('name')
+   *   .limit(10)
+   *   .consistency('request_plus')
+   *   .execute((err, rows) => {
+   *     if (err) return console.log(err);
+   *     console.dir(rows);
+   *   });
+   */
+  select (...fields) {
+    return new QueryBuilder(this, fields)
+  }
+
+  /**
+   * Creates a generator of unique sequential IDs backed by the counter document with the key <code>name</code>.
+   * Blocks of IDs are reserved with a single <code>counter</code> increment and handed out locally, so the IDs are
+   * unique across processes. The reservations are retried on temporary errors. Keep the returned sequence around,
+   * each one reserves its own blocks.
+   * @param {String} name - the key of the counter document
+   * @param {Object} options - Options
+   * @param {Number} options.initial - The first ID of the sequence. Default: <code>1</code>.
+   * @param {Number} options.blockSize - The number of IDs to reserve at a time. Default: <code>1</code>.
+   * @param {Function} options.format - Function that formats the numeric ID, ie <code>id => `INV-${id}`</code>.
+   *                                    Default: the ID as is.
+   * @param {Boolean} options.retryTemporaryErrors - Whether to retry the reservations on temporary errors.
+   *                                                 Default: <code>true</code>.
+   * @param {Number} options.tempRetryTimes - The number of attempts to make when backing off temporary errors.
+   *                                          Default: the driver option.
+   * @param {Number} options.tempRetryInterval - The time to wait between retries, in milliseconds.
+   *                                             Default: the driver option.
+   * @returns {Sequence} the sequence
+   * @example
+   * const invoices = driver.sequence('invoice::seq', { initial: 1000, blockSize: 50, format: id => `INV-${id}` });
+   * invoices.next((err, id) => {
+   *   if (err) return console.log(err);
+   *   console.log(id); // 'INV-1000'
+   * });
+   */
+  sequence (name, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('Sequence name must be a non-empty string')
+    }
+
+    const opts = defaults({}, options, { initial: 1, blockSize: 1, format: id => id, retryTemporaryErrors: true },
+      this.config)
+    if (!Number.isInteger(opts.initial) || opts.initial < 0) {
+      throw new TypeError('Sequence initial value must be a non-negative integer')
+    } else if (!Number.isInteger(opts.blockSize) || opts.blockSize < 1) {
+      throw new TypeError('Sequence block size must be a positive integer')
+    } else if (!(opts.format instanceof Function)) {
+      throw new TypeError('Sequence format must be a function')
+    }
+
+    return new Sequence(name, opts, fn => reserveSequence.call(this, name, opts, fn))
+  }
+
+  /**
+   * Acquires a distributed lock backed by the lock document with the key <code>name</code>. Unlike
+   * <code>getAndLock</code> the lease is not limited to 30 seconds. The document holds a random owner token written
+   * using <code>CAS</code>, so only the owner can release or extend the lock, and expires if the owner never releases
+   * it. Waiters are queued in the lock document and acquire the lock in the order they started waiting. Waiters that
+   * stop polling, ie crashed, drop out of the queue after a second or 10 retry intervals, whichever is longer. Leases
+   * are checked against the local clock of each process, so the clocks should be kept in sync.
+   * @param {String} name - the key of the lock document
+   * @param {Object} options - Options
+   * @param {Number} options.ttl - The lease time, in milliseconds. Default: <code>15000</code>.
+   * @param {Number} options.wait - The time to wait for the lock if it is held, in milliseconds. Fails with a
+   *                                <code>LockTimeoutError</code> once passed. Default: <code>0</code>.
+   * @param {Number} options.retryInterval - The time between attempts while waiting, in milliseconds.
+   *                                         Default: <code>100</code>.
+   * @param {Boolean} options.renew - Whether to renew the lease automatically at half of the <code>ttl</code> while
+   *                                  the lock is held. Default: <code>true</code>.
+   * @param {Function} fn - callback with the <code>Lock</code> handle
+   * @example
+   * driver.lock('job::nightly', { ttl: 60000, wait: 5000 }, (err, lock) => {
+   *   if (err) return console.log(err);
+   *   runJob(() => lock.release(err => {
+   *     if (err) console.log(err);
+   *   }));
+   * });
+   */
+  lock (name, options, fn) {
+    return pCall(this, lock, ...arguments)
+  }
+
+  /**
+   * Attempts to get the lowest couchbase server version from the nodes in the cluster.
+   *
+   * **Warning**
+   * This depends on undocumented internals of Node.js couchbase library
+   * @param {Function} fn - callback
+   * @example
+   * driver.getServerVersion((err, version) => {
+   *   if(err) return console.log(err);
+   *   console.log(version);
+   * });
+   */
+  getServerVersion (fn) {
+    return pCall(this, getServerVersion, ...arguments)
+  }
+
+  /**
+   * Gets the features supported by the cluster, based on the lowest server version of the nodes. The version is
+   * fetched once and cached for <code>capabilitiesRefreshInterval</code>. If refreshing it fails the cached version is
+   * used. Returns the <code>version</code> and a flag for each of <code>CAPABILITIES</code>.
+   * @param {Object} options - Options
+   * @param {Boolean} options.refresh - Whether to fetch the version even if it is cached. Default: <code>false</code>.
+   * @param {Function} fn - callback
+   * @example
+   * driver.getCapabilities((err, capabilities) => {
+   *   if (err) return console.log(err);
+   *   if (capabilities.subdoc) console.log('sub-document operations are supported');
+   * });
+   */
+  getCapabilities (options, fn) {
+    return pCall(this, getCapabilities, ...arguments)
+  }
+
+  /**
+   * Checks that the cluster supports the features and fails with an <code>UnsupportedError</code> listing the
+   * unsupported features if not. Calls back with the capabilities otherwise. Fails with a <code>TypeError</code> for
+   * unknown features.
+   * @param {String|Array} features - one or more of the <code>CAPABILITIES</code>
+   * @param {Function} fn - callback
+   * @example
+   * await driver.requires('subdoc');
+   * const frag = await driver.lookupIn('my_doc_key').get('name').execute();
+   */
+  requires (features, fn) {
+    return pCall(this, requires, ...arguments)
+  }
+
+  /**
+   * Gets the cluster topology from the management REST API of a node in the cluster. Returns the cluster
+   * <code>name</code>, the lowest <code>version</code> of the nodes, whether it is <code>balanced</code>, the
+   * <code>rebalanceStatus</code>, the RAM and disk <code>storage</code> totals and the <code>nodes</code>, each with
+   * <code>hostname</code>, <code>status</code>, <code>clusterMembership</code>, <code>services</code>,
+   * <code>version</code>, <code>uptime</code> in seconds, <code>memory</code>, <code>disk</code> and
+   * <code>items</code>.
+   *
+   * **Warning**
+   * This depends on undocumented internals of Node.js couchbase library
+   * @param {Object} options - Options overriding the <code>management</code> options of the driver
+   * @param {Function} fn - callback
+   * @example
+   * driver.getClusterInfo((err, info) => {
+   *   if (err) return console.log(err);
+   *   info.nodes.forEach(node => console.log(node.hostname, node.status, node.services));
+   * });
+   */
+  getClusterInfo (options, fn) {
+    return pCall(this, getClusterInfo, ...arguments)
+  }
+
+  /**
+   * Checks the health of the cluster for readiness probes. Never fails, errors getting the cluster information are
+   * reported in the result. Returns <code>healthy</code>, the <code>status</code>, one of <code>healthy</code>,
+   * <code>degraded</code> when some active nodes are not healthy or <code>unhealthy</code> when none is,
+   * the <code>version</code>, the number of active and healthy <code>nodes</code>, the <code>unhealthyNodes</code>,
+   * whether the cluster is <code>rebalancing</code>, the <code>duration</code> of the check in milliseconds and the
+   * <code>error</code> message, if any.
+   * @param {Object} options - Options overriding the <code>management</code> options of the driver
+   * @param {Function} fn - callback
+   * @example
+   * app.get('/ready', async (req, res) => {
+   *   const health = await driver.healthCheck();
+   *   res.status(health.healthy ? 200 : 503).json(health);
+   * });
+   */
+  healthCheck (options, fn) {
+    return pCall(this, healthCheck, ...arguments)
+  }
+
+  /**
+   * Create a Driver object by wrapping the Couchbase bucket and creates a new <code>Driver</code> instance and
    * adds <code>Promise</code> support to the instance.
    * @param bucket {Object} The Couchbase <code>Bucket</code> instance to wrap.
    * @param options {Object} Options
@@ -301,12 +1396,92 @@ class Driver {
    *                                            See <code>async.retry</code>. Default: <code>5</code>.
    * @param {Number} options.tempRetryInterval - The time to wait between retries, in milliseconds, when backing off temporary errors .
    *                                               See <code>async.retry</code>. Default: <code>50</code>.
+   * @param {String|Function} options.tempRetryBackoff - The backoff strategy when backing off temporary errors. One of
+   *                                                     <code>BACKOFF</code> or a function
+   *                                                     <code>(attempt, err) => ms</code>. Default: <code>'fixed'</code>.
+   * @param {Number} options.tempRetryMaxInterval - The maximum time to wait between retries, in milliseconds, with
+   *                                                exponential backoff. Default: <code>1000</code>.
    * @param {Number} options.atomicRetryTimes - The number of attempts to make within <code>atomic()</code>.
    *                                            See <code>async.retry</code>. Default: <code>5</code>.
    * @param {Number} options.atomicRetryInterval - The time to wait between retries, in milliseconds, within <code>atomic()</code>.
    *                                               See <code>async.retry</code>. Default: <code>0</code>.
+   * @param {String|Function} options.atomicRetryBackoff - The backoff strategy for retries within <code>atomic()</code>.
+   *                                                       One of <code>BACKOFF</code> or a function
+   *                                                       <code>(attempt, err) => ms</code>. Default: <code>'fixed'</code>.
+   * @param {Number} options.atomicRetryMaxInterval - The maximum time to wait between retries, in milliseconds, with
+   *                                                  exponential backoff. Default: <code>1000</code>.
    * @param {Boolean} options.atomicLock - Whether to use <code>getAndLock</code> in <code>atomic()</code> or just the
    *                                       standard <code>get</code>. Default: <code>true</code>.
+   * @param {Number} options.getChunkSize - The maximum number of keys to fetch in a single <code>getMulti</code> call
+   *                                        in a multi-key get. <code>0</code> fetches all keys in one call.
+   *                                        Default: <code>0</code>.
+   * @param {Number} options.getConcurrency - The maximum number of chunks to fetch at the same time in a multi-key get.
+   *                                          Values below <code>1</code> use the default. Default: <code>5</code>.
+   * @param {Number} options.writeConcurrency - The maximum number of writes at the same time in <code>insertMulti</code>,
+   *                                            <code>upsertMulti</code> and <code>removeMulti</code>.
+   *                                            Default: <code>5</code>.
+   * @param {Boolean|Object} options.metrics - Whether to collect metrics in a <code>MetricsCollector</code> available
+   *                                          as <code>driver.metrics</code>. If an object it is passed as options to
+   *                                          the collector. Default: <code>false</code>.
+   * @param {Function} options.metricsKeyPrefix - Function that returns the key prefix reported in events and metrics
+   *                                              for a full document key, including <code>keyPrefix</code>.
+   *                                              Default: the part of the key before the first <code>:</code> or
+   *                                              <code>::</code>.
+   * @param {Boolean|Object} options.cache - Whether to cache documents read and written through the driver in a
+   *                                        <code>DocumentCache</code> available as <code>driver.cache</code>. If an
+   *                                        object it is passed as options to the cache. Default: <code>false</code>.
+   * @param {Object} options.schemas - JSON schemas of documents by key pattern, ie <code>{ 'user::*': schema }</code>.
+   *                                   See <code>addSchema()</code>.
+   * @param {Boolean} options.validateOnGet - Whether to validate documents read by <code>get</code> against the schemas
+   *                                          and emit <code>validationDrift</code> events for invalid ones.
+   *                                          Default: <code>false</code>.
+   * @param {String} options.keyPrefix - Prefix added to the document keys of all operations and removed from the keys
+   *                                     returned. Default: none.
+   * @param {String} options.namespace - Namespace of the document keys. Same as <code>keyPrefix</code> of the namespace
+   *                                     followed by <code>namespaceSeparator</code>. Default: none.
+   * @param {String} options.namespaceSeparator - The separator after the namespace. Default: <code>'::'</code>.
+   * @param {Object} options.history - The maximum number of revisions to keep by key pattern, ie
+   *                                   <code>{ 'contract::*': 10 }</code>. See <code>getRevisions()</code>.
+   * @param {String} options.historyPrefix - Prefix of the keys of the revision documents.
+   *                                         Default: <code>'_history::'</code>.
+   * @param {Boolean|Object} options.compression - Whether to gzip large documents using a
+   *                                              <code>CompressionTranscoder</code> set on the bucket and available as
+   *                                              <code>driver.transcoder</code>. If an object it is passed as options
+   *                                              to the transcoder. Default: <code>false</code>.
+   * @param {Object} options.encryption - Field level encryption options. Encrypted fields are decrypted on read so
+   *                                      <code>get</code>, <code>getAndLock</code>, <code>getAndTouch</code>,
+   *                                      <code>getReplica</code> and <code>atomic</code> transforms get plaintext
+   *                                      values. <code>replace</code> encrypts them too. Default: none.
+   * @param {Object} options.encryption.fields - The paths of the fields to encrypt with AES-256-GCM by key pattern, ie
+   *                                             <code>{ 'user::*': ['ssn', 'address.street'] }</code>.
+   * @param {String|Function} options.encryption.keyId - The id of the key to encrypt with, or a function that returns
+   *                                                     it. Stored with the encrypted fields.
+   * @param {Function} options.encryption.getKey - Key provider function <code>keyId => key</code> that returns the
+   *                                               32 byte <code>Buffer</code> key for the id. Can also return a
+   *                                               <code>Promise</code> or accept a callback as the second argument.
+   * @param {Object} options.management - Options of the requests to the management REST API made by
+   *                                      <code>getServerVersion</code>, <code>getClusterInfo</code> and
+   *                                      <code>healthCheck</code>. Default: none.
+   * @param {String} options.management.username - The user name. Default: the user name of the bucket.
+   * @param {String} options.management.password - The password. Default: the password of the bucket.
+   * @param {Boolean} options.management.https - Whether to use HTTPS. Default: <code>false</code>, unless the node
+   *                                             address is an <code>https</code> URL.
+   * @param {Number} options.management.port - The port. Default: the port of the node, or <code>18091</code> with
+   *                                           HTTPS.
+   * @param {String|Buffer} options.management.ca - The CA certificates trusted with HTTPS. Default: none.
+   * @param {Boolean} options.management.rejectUnauthorized - Whether to reject untrusted certificates with HTTPS.
+   *                                                          Default: <code>true</code>.
+   * @param {Number} options.management.timeout - The request timeout in milliseconds. Default: <code>10000</code>.
+   * @param {Number} options.capabilitiesRefreshInterval - The time to cache the server version used by
+   *                                                       <code>getCapabilities</code>, in milliseconds. <code>0</code>
+   *                                                       caches it for the lifetime of the driver.
+   *                                                       Default: <code>300000</code>.
+   * @param {Boolean|Object} options.concurrency - Whether to limit the number of key-value operations in flight with
+   *                                              a <code>ConcurrencyLimiter</code> available as
+   *                                              <code>driver.limiter</code>. If an object it is passed as options to
+   *                                              the limiter, ie <code>{ max: 100, queue: 1000 }</code>. Operations
+   *                                              over the queue limit fail with a <code>QueueFullError</code>.
+   *                                              Default: <code>false</code>.
    * @returns {Driver}
    * @example
    * const couchbase = require('couchbase');
@@ -318,24 +1493,25 @@ class Driver {
   static create (bucket, options = {}) {
     // wrap the class
     const bucketPrototype = Object.getPrototypeOf(bucket)
-    let fnNames = []
-    let p
-    for (p in bucketPrototype) {
-      if (bucketPrototype.hasOwnProperty(p) &&
-        p.charAt(0) !== '_' &&
-        typeof bucketPrototype[p] === 'function' &&
+    // class methods are not enumerable, and accessors are skipped by only looking at the values
+    const fnNames = Object.getOwnPropertyNames(bucketPrototype).filter(p => {
+      const descriptor = Object.getOwnPropertyDescriptor(bucketPrototype, p)
+      return p.charAt(0) !== '_' &&
+        typeof descriptor.value === 'function' &&
         !Driver.prototype[p] &&
-        p !== 'constructor') {
-        fnNames.push(p)
-      }
-    }
+        p !== 'constructor'
+    })
 
     fnNames.forEach(fnName => {
       Driver.prototype[fnName] = function () {
-        if (syncFunctions.indexOf(fnName) >= 0) {
+        if (subdocFunctions.indexOf(fnName) >= 0) {
+          const args = Array.from(arguments)
+          const builder = this.bucket[fnName](fullKey.call(this, args[0]), ...args.slice(1))
+          return wrapBuilder.call(this, fnName, args[0], builder)
+        } else if (syncFunctions.indexOf(fnName) >= 0) {
           return this.bucket[fnName](...arguments)
         } else {
-          return pCall(this.bucket, this.bucket[fnName], ...arguments)
+          return callBucket.call(this, fnName, Array.from(arguments))
         }
       }
     })
@@ -343,6 +1519,86 @@ class Driver {
   }
 }
 
+function callBucket (fnName, args) {
+  const hasKey = keylessFunctions.indexOf(fnName) < 0
+  const context = { operation: fnName, key: hasKey && typeof args[0] === 'string' ? args[0] : undefined }
+  const ropts = retryOptions(this.config, 'temp', Driver.isTemporaryError)
+  const driver = this
+  // the documents with encrypted fields are encrypted and decrypted the same way as by the driver functions
+  const encrypt = context.key !== undefined && valueFunctions.indexOf(fnName) >= 0
+  const decrypt = context.key !== undefined && documentFunctions.indexOf(fnName) >= 0
+  const exec = (callArgs, fn) => {
+    fn = instrument.call(this, fnName, context.key, fn)
+    // we do not know what the bucket function changes so drop the document to be safe
+    cacheDelete.call(this, context.key)
+    const value = encrypt ? callArgs[1] : undefined
+    encryptDocument.call(this, context.key, value, (err, stored) => {
+      if (err) {
+        return fn(err)
+      }
+
+      if (encrypt) {
+        callArgs = [callArgs[0], stored].concat(callArgs.slice(2))
+      }
+      if (hasKey && callArgs.length) {
+        callArgs = [fullKey.call(this, callArgs[0])].concat(callArgs.slice(1))
+      }
+      retry.call(this, ropts, context, rFn => {
+        limit.call(this, fnName, done => this.bucket[fnName](...callArgs, done), function (err, res) {
+          const results = Array.from(arguments).slice(1)
+          // multi-key results are keyed by document key
+          if (hasKey && Array.isArray(callArgs[0]) && isObject(res)) {
+            results[0] = localKeys.call(driver, res)
+          }
+          if (err || !decrypt) {
+            return rFn.apply(this, [driverErrors.wrap(err, context)].concat(results))
+          }
+          decryptDocument.call(driver, context.key, res, err => rFn.apply(this, [err || null].concat(results)))
+        })
+      }, fn)
+    })
+  }
+
+  const lastIndex = args.length - 1
+  if (typeof args[lastIndex] === 'function') {
+    return exec(args.slice(0, lastIndex), args[lastIndex])
+  }
+
+  // drop the explicitly passed empty callback
+  if (args.length && args.length === this.bucket[fnName].length && args[lastIndex] == null) {
+    args = args.slice(0, lastIndex)
+  }
+
+  return new Promise((resolve, reject) => {
+    exec(args, (err, res) => err ? reject(err) : resolve(res))
+  })
+}
+
+function wrapBuilder (fnName, key, builder) {
+  if (!builder || typeof builder.execute !== 'function') {
+    return builder
+  }
+
+  const execute = builder.execute
+  const context = { operation: fnName, key }
+  const ropts = retryOptions(this.config, 'temp', Driver.isTemporaryError)
+  const executeWithRetry = fn => {
+    if (fnName === 'mutateIn') {
+      cacheDelete.call(this, key)
+    }
+    retry.call(this, ropts, context, rFn => {
+      limit.call(this, fnName, done => execute.call(builder, done), (err, res) => {
+        return rFn(driverErrors.wrap(err, context), res)
+      })
+    }, fn)
+  }
+
+  builder.execute = function (fn) {
+    return pCall(builder, executeWithRetry, ...arguments)
+  }
+  return builder
+}
+
 function getDocument (keys, options, fn) {
   if (options instanceof Function) {
     fn = options
@@ -354,8 +1610,7 @@ function getDocument (keys, options, fn) {
   }
 
   if (Array.isArray(keys)) {
-    debug(`Driver.getMulti. keys: ${keys}`)
-    this.bucket.getMulti(keys, (err, getRes) => {
+    getMulti.call(this, keys, options, (err, getRes) => {
       if (err && isObject(err)) {
         return fn(err)
       }
@@ -399,14 +1654,155 @@ function getDocument (keys, options, fn) {
     })
   } else {
     debug(`Driver.get. keys: ${keys}`)
-    this.bucket.get(keys, options, (err, getRes) => {
-      if (err && Driver.isKeyNotFound(err)) {
-        err = null
+    const cached = cacheGet.call(this, keys, options)
+    if (cached) {
+      return process.nextTick(() => fn(null, cached))
+    }
+
+    const opts = defaults({}, options, this.config)
+    const ropts = retryOptions(opts, 'temp', Driver.isTemporaryError)
+    retry.call(this, ropts, { operation: 'get', key: keys }, rFn => {
+      limit.call(this, 'get', done => this.bucket.get(fullKey.call(this, keys), options, done), (err, getRes) => {
+        if (err && Driver.isKeyNotFound(err)) {
+          err = null
+        }
+
+        if (err || !getRes) {
+          return rFn(driverErrors.wrap(err, { operation: 'get', key: keys }), getRes)
+        }
+
+        decryptDocument.call(this, keys, getRes, err => {
+          if (!err) {
+            cacheSet.call(this, keys, getRes)
+            checkDrift.call(this, keys, getRes.value, opts)
+          }
+          return rFn(err, getRes)
+        })
+      })
+    }, fn)
+  }
+}
+
+function getMulti (keys, options, fn) {
+  const opts = defaults({}, options, this.config)
+  const getRes = {}
+  keys = keys.filter(k => {
+    const cached = cacheGet.call(this, k, options)
+    if (cached) {
+      getRes[k] = cached
+    }
+    return !cached
+  })
+
+  if (!keys.length) {
+    return process.nextTick(() => fn(null, getRes))
+  }
+
+  const chunkSize = opts.getChunkSize > 0 ? opts.getChunkSize : keys.length
+  const chunks = []
+  for (let i = 0; i < keys.length; i += chunkSize) {
+    chunks.push(keys.slice(i, i + chunkSize))
+  }
+
+  const ropts = retryOptions(opts, 'temp', Driver.isTemporaryError)
+
+  debug(`Driver.getMulti. keys: ${keys.length} chunks: ${chunks.length} retry options: %j`, ropts)
+
+  // no chunk would be fetched with a limit below 1
+  const concurrency = opts.getConcurrency > 0 ? opts.getConcurrency : defaultOptions.getConcurrency
+  async.eachLimit(chunks, concurrency, (chunk, eachFn) => {
+    const chunkRes = {}
+    retry.call(this, ropts, { operation: 'get', key: chunk }, rFn => {
+      // only get the keys we do not have yet or that hit a temporary error
+      const pending = chunk.filter(k => !chunkRes[k] || Driver.isTemporaryError(chunkRes[k].error))
+      limit.call(this, 'get', done => this.bucket.getMulti(fullKey.call(this, pending), done), (err, res) => {
+        if (err && isObject(err)) {
+          return rFn(err)
+        }
+
+        res = localKeys.call(this, res)
+        Object.assign(chunkRes, res)
+        const tempKey = pending.find(k => res[k] && Driver.isTemporaryError(res[k].error))
+        return rFn(tempKey ? res[tempKey].error : null, chunkRes)
+      })
+    }, (err, chunkRes) => {
+      if (!chunkRes) {
+        return eachFn(driverErrors.wrap(err, { operation: 'getMulti' }))
       }
 
-      return fn(err, getRes)
+      async.eachSeries(chunk, (k, decryptFn) => {
+        if (chunkRes[k] && chunkRes[k].error) {
+          chunkRes[k].error = driverErrors.wrap(chunkRes[k].error, { operation: 'get', key: k })
+          return decryptFn()
+        } else if (!chunkRes[k]) {
+          return decryptFn()
+        }
+
+        decryptDocument.call(this, k, chunkRes[k], err => {
+          if (err) {
+            chunkRes[k] = { error: err }
+          } else {
+            cacheSet.call(this, k, chunkRes[k])
+            checkDrift.call(this, k, chunkRes[k].value, opts)
+          }
+          return decryptFn()
+        })
+      }, () => {
+        Object.assign(getRes, chunkRes)
+        return eachFn()
+      })
     })
+  }, err => {
+    if (err) {
+      return fn(err)
+    }
+    return fn(null, getRes)
+  })
+}
+
+function getMap (keys, options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  if (keys && !Array.isArray(keys)) {
+    keys = [keys]
+  }
+
+  if (!keys || !keys.length) {
+    return process.nextTick(() => fn(null, new Map()))
   }
+
+  getMulti.call(this, keys, options, (err, getRes) => {
+    if (err && isObject(err)) {
+      return fn(err)
+    }
+
+    const includeMissing = typeof options.missing === 'boolean'
+      ? options.missing
+      : this.config.missing !== false
+
+    const results = new Map()
+    keys.forEach(k => {
+      const res = getRes[k]
+      if (!res) {
+        return
+      }
+
+      if (res.error && Driver.isKeyNotFound(res.error)) {
+        if (includeMissing) {
+          results.set(k, { missing: true })
+        }
+      } else if (res.error) {
+        results.set(k, { error: res.error })
+      } else {
+        results.set(k, { value: res.value, cas: res.cas })
+      }
+    })
+
+    return fn(null, results)
+  })
 }
 
 function getAndLock (key, options, fn) {
@@ -416,20 +1812,30 @@ function getAndLock (key, options, fn) {
   }
 
   debug(`Driver.getAndLock. key: ${key}`)
+  // locking changes the CAS and the document is likely about to change
+  cacheDelete.call(this, key)
 
   const opts = defaults(options, this.config)
-  const ropts = {
-    times: opts.retryTemporaryErrors ? opts.tempRetryTimes : 1,
-    interval: options.tempRetryInterval,
-    errorFilter: Driver.isTemporaryError
-  }
+  const ropts = retryOptions(opts, 'temp', Driver.isTemporaryError)
 
-  async.retry(ropts, rFn => {
-    this.bucket.getAndLock(key, options, (err, getRes) => {
+  retry.call(this, ropts, { operation: 'getAndLock', key }, rFn => {
+    const lockDocument = done => this.bucket.getAndLock(fullKey.call(this, key), options, done)
+    limit.call(this, 'getAndLock', lockDocument, (err, getRes) => {
       if (err && Driver.isKeyNotFound(err)) {
         err = null
       }
-      return rFn(err, getRes)
+
+      if (err || !getRes) {
+        return rFn(driverErrors.wrap(err, { operation: 'getAndLock', key }), getRes)
+      }
+
+      decryptDocument.call(this, key, getRes, err => {
+        if (err) {
+          // do not leave the document locked if we cannot return it
+          return this.bucket.unlock(fullKey.call(this, key), getRes.cas, () => rFn(err))
+        }
+        return rFn(null, getRes)
+      })
     })
   }, fn)
 }
@@ -445,13 +1851,20 @@ function remove (key, options, fn) {
   }
 
   debug(`Driver.remove. key: ${key}`)
-  this.bucket.remove(key, options, (err, rres) => {
-    if (err && Driver.isKeyNotFound(err)) {
-      err = null
-    }
+  const ropts = retryOptions(defaults({}, options, this.config), 'temp', Driver.isTemporaryError)
+  withHistory.call(this, 'remove', key, options, (options, done) => {
+    retry.call(this, ropts, { operation: 'remove', key }, rFn => {
+      const removeDocument = done => this.bucket.remove(fullKey.call(this, key), bucketOptions(options), done)
+      limit.call(this, 'remove', removeDocument, (err, rres) => {
+        if (err && Driver.isKeyNotFound(err)) {
+          err = null
+        }
 
-    return fn(err, rres)
-  })
+        cacheDelete.call(this, key)
+        return rFn(driverErrors.wrap(err, { operation: 'remove', key, cas: options.cas }), rres)
+      })
+    }, done)
+  }, fn)
 }
 
 function insert (key, value, options, fn) {
@@ -462,11 +1875,79 @@ function upsert (key, value, options, fn) {
   write.apply(this, ['upsert', key, value, options, fn])
 }
 
-function write (type, key, value, options, fn) {
-  if (options instanceof Function) {
-    fn = options
-    options = {}
-  }
+function insertMulti (items, options, fn) {
+  writeMulti.apply(this, ['insert', items, options, fn])
+}
+
+function upsertMulti (items, options, fn) {
+  writeMulti.apply(this, ['upsert', items, options, fn])
+}
+
+function removeMulti (keys, options, fn) {
+  writeMulti.apply(this, ['remove', keys, options, fn])
+}
+
+function writeMulti (type, items, options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  items = toMultiItems(items)
+  const opts = defaults({}, options, this.config)
+
+  debug(`Driver.${type}Multi. keys: ${items.length} concurrency: ${opts.writeConcurrency}`)
+
+  const results = new Map()
+  items.forEach(item => results.set(item.key, null))
+
+  async.eachLimit(items, opts.writeConcurrency, (item, eachFn) => {
+    // the retry options are used by the driver and the write options passed on to the bucket
+    const itemOptions = Object.assign(tempOptions(options), tempOptions(item.options), writeOptions(options),
+      writeOptions(item.options))
+    const done = (err, res) => {
+      results.set(item.key, err ? { error: err } : { cas: res ? res.cas : undefined })
+      return eachFn()
+    }
+
+    if (type === 'remove') {
+      return remove.call(this, item.key, itemOptions, done)
+    }
+    write.call(this, type, item.key, item.value, itemOptions, done)
+  }, () => fn(null, results))
+}
+
+function writeOptions (options) {
+  const picked = {}
+  WRITE_OPTIONS.concat('actor').forEach(name => {
+    if (options && options[name] !== undefined) {
+      picked[name] = options[name]
+    }
+  })
+  return picked
+}
+
+function toMultiItems (items) {
+  if (!items) {
+    return []
+  }
+
+  if (Array.isArray(items)) {
+    return items.map(item => typeof item === 'string' ? { key: item } : item)
+  }
+
+  if (items instanceof Map) {
+    return Array.from(items, ([key, value]) => ({ key, value }))
+  }
+
+  return Object.keys(items).map(key => ({ key, value: items[key] }))
+}
+
+function write (type, key, value, options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
 
   if ((type !== 'insert' && type !== 'upsert') ||
     typeof this.bucket[type] !== 'function') {
@@ -475,129 +1956,1042 @@ function write (type, key, value, options, fn) {
     })
   }
 
-  const opts = defaults(options, this.config)
-  const ropts = {
-    times: opts.retryTemporaryErrors ? opts.tempRetryTimes : 1,
-    interval: options.tempRetryInterval,
-    errorFilter: Driver.isTemporaryError
+  const opts = defaults({}, options, this.config)
+  const ropts = retryOptions(opts, 'temp', Driver.isTemporaryError)
+
+  debug(`Driver.${type}. key: ${key} retry options: %j`, ropts)
+
+  if (!key) {
+    return process.nextTick(fn)
+  }
+
+  const validationError = validateDocument.call(this, key, value)
+  if (validationError) {
+    return process.nextTick(() => fn(validationError))
+  }
+
+  encryptDocument.call(this, key, value, (err, stored) => {
+    if (err) {
+      return fn(err)
+    }
+
+    withHistory.call(this, type, key, options, (options, done) => {
+      retry.call(this, ropts, { operation: type, key }, rFn => {
+        const save = done => this.bucket[type](fullKey.call(this, key), stored, bucketOptions(options), done)
+        limit.call(this, type, save, (err, res) => {
+          if (err || !res) {
+            cacheDelete.call(this, key)
+          } else {
+            cacheSet.call(this, key, { value, cas: res.cas }, options.expiry)
+          }
+          return rFn(driverErrors.wrap(err, { operation: type, key, cas: options.cas }), res)
+        })
+      }, done)
+    }, fn)
+  })
+}
+
+function atomic (key, transform, options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  debug(`Driver.atomic. key: ${key}`)
+  if (defaults({}, options, this.config).atomicLock) {
+    return this._atomicWithLock(key, transform, options, fn)
+  }
+  return this._atomicNoLock(key, transform, options, fn)
+}
+
+function _atomicWithLock (key, transform, options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  const opts = defaults(options, this.config)
+  let transformError = null
+  const ropts = retryOptions(opts, 'atomic', err => err !== transformError)
+
+  debug(`Driver._atomicWithLock. key: ${key} retry options: %j`, ropts)
+  retry.call(this, ropts, { operation: 'atomic', key }, rfn => {
+    getAndLock.call(this, key, tempOptions(opts), (err, doc) => {
+      if (err) {
+        return rfn(err)
+      }
+
+      const prev = previousRevision.call(this, key, doc)
+      invokeAsync(transform, doc ? doc.value : undefined, (err, opr) => {
+        if (!err) {
+          err = validateOperation.call(this, key, opr)
+        }
+
+        if (err) {
+          transformError = err
+          if (!doc) {
+            return rfn(err)
+          }
+          return this.unlock(key, doc.cas, () => rfn(err))
+        }
+
+        const opts = doc ? { cas: doc.cas } : {}
+        Object.assign(opts, options.saveOptions, historyOptions(options, prev), tempOptions(options))
+        debug(`Driver.atomicWithLock. action: ${opr.action}`)
+        if (opr.action === OPERATIONS.NOOP) {
+          if (!doc) {
+            return rfn(err, opr.value)
+          }
+          this.unlock(key, doc.cas, err => {
+            return rfn(err, opr.value)
+          })
+        } else if (opr.action === OPERATIONS.UPSERT && opr.value) {
+          // if new document we want to try insert so the op will fail if
+          // it got inserted in the meantime by another request
+          if (doc) {
+            return upsert.call(this, key, opr.value, opts, rfn)
+          }
+          return insert.call(this, key, opr.value, opts, rfn)
+        } else {
+          this.unlock(key, doc.cas, (err, doc2) => {
+            if (err) {
+              return rfn(err)
+            }
+            const ropts = Object.assign(doc2 ? { cas: doc2.cas } : {}, historyOptions(options, prev))
+            return remove.call(this, key, ropts, rfn)
+          })
+        }
+      })
+    })
+  }, fn)
+}
+
+function _atomicNoLock (key, transform, options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  const opts = defaults(options, this.config)
+  let transformError = null
+  const ropts = retryOptions(opts, 'atomic', err => err !== transformError)
+
+  debug(`Driver._atomicNoLock. key: ${key} retry options: %j`, ropts)
+  retry.call(this, ropts, { operation: 'atomic', key }, rfn => {
+    // the CAS value must be current so the cache is skipped
+    getDocument.call(this, key, Object.assign(tempOptions(opts), { cache: false }), (err, doc) => {
+      if (err) {
+        return rfn(err)
+      }
+
+      const prev = previousRevision.call(this, key, doc)
+      invokeAsync(transform, doc ? doc.value : undefined, (err, opr) => {
+        if (!err) {
+          err = validateOperation.call(this, key, opr)
+        }
+
+        if (err) {
+          transformError = err
+          return rfn(err)
+        }
+
+        const opts = Object.assign(doc ? { cas: doc.cas } : {}, historyOptions(options, prev), tempOptions(options))
+        debug(`Driver.atomicNoLock. action: ${opr.action}`)
+        if (opr.action === OPERATIONS.NOOP) {
+          return rfn(null, opr.value)
+        } else if (opr.action === OPERATIONS.UPSERT && opr.value) {
+          // if new document we want to try insert so the op will fail if
+          // it got inserted in the meantime by another request
+          if (doc) {
+            return upsert.call(this, key, opr.value, opts, rfn)
+          }
+          return insert.call(this, key, opr.value, opts, rfn)
+        }
+        return remove.call(this, key, opts, rfn)
+      })
+    })
+  }, fn)
+}
+
+function atomicPath (key, paths, transform, options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  paths = [].concat(paths)
+  const opts = defaults({}, options, this.config)
+  fn = instrument.call(this, 'atomicPath', key, fn)
+  debug(`Driver.atomicPath. key: ${key} paths: ${paths.join(', ')}`)
+  subdocSupported.call(this, key, supported => {
+    if (!supported) {
+      debug(`Driver.atomicPath. using atomic. key: ${key}`)
+      return atomicPathDocument.call(this, key, paths, transform, opts, fn)
+    }
+
+    let transformError = null
+    const ropts = retryOptions(opts, 'atomic', err => err !== transformError)
+    const full = fullKey.call(this, key)
+    retry.call(this, ropts, { operation: 'atomicPath', key }, rfn => {
+      const lookup = this.bucket.lookupIn(full)
+      paths.forEach(path => lookup.get(path))
+      limit.call(this, 'lookupIn', done => lookup.execute(done), (err, frag) => {
+        // missing paths fail the lookup but are reported as undefined
+        if (err && !(err.code === errors.subdocMultiFailure && frag && frag.cas)) {
+          return rfn(driverErrors.wrap(err, { operation: 'lookupIn', key }))
+        }
+
+        const values = {}
+        try {
+          paths.forEach(path => {
+            values[path] = fragmentValue(frag, path)
+          })
+        } catch (e) {
+          return rfn(driverErrors.wrap(e, { operation: 'lookupIn', key }))
+        }
+
+        invokeAsync(transform, Object.assign({}, values), (err, changes) => {
+          if (err) {
+            transformError = err
+            return rfn(err)
+          }
+
+          const mutation = this.bucket.mutateIn(full, { cas: frag.cas })
+          let specs = 0
+          Object.keys(changes || {}).forEach(path => {
+            if (changes[path] !== undefined) {
+              mutation.upsert(path, changes[path], { createParents: true })
+              specs++
+            } else if (values[path] !== undefined) {
+              mutation.remove(path)
+              specs++
+            }
+          })
+          if (!specs) {
+            return rfn(null, values)
+          }
+
+          cacheDelete.call(this, key)
+          limit.call(this, 'mutateIn', done => mutation.execute(done), err => {
+            if (err) {
+              return rfn(driverErrors.wrap(err, { operation: 'mutateIn', key, cas: frag.cas }))
+            }
+            return rfn(null, Object.assign(values, changes))
+          })
+        })
+      })
+    }, fn)
+  })
+}
+
+function atomicPathDocument (key, paths, transform, options, fn) {
+  let result
+  const docTransform = (doc, tFn) => {
+    if (doc === undefined) {
+      const err = Object.assign(new Error('The key does not exist on the server'), { code: errors.keyNotFound })
+      return tFn(driverErrors.wrap(err, { operation: 'atomicPath', key }))
+    }
+
+    const values = {}
+    paths.forEach(path => {
+      values[path] = getPath(doc, path)
+    })
+    invokeAsync(transform, Object.assign({}, values), (err, changes) => {
+      if (err) {
+        return tFn(err)
+      }
+
+      result = Object.assign(values, changes)
+      if (!changes || !Object.keys(changes).length) {
+        return tFn(null, { action: OPERATIONS.NOOP })
+      }
+      Object.keys(changes).forEach(path => setPath(doc, path, changes[path]))
+      return tFn(null, { value: doc, action: OPERATIONS.UPSERT })
+    })
+  }
+
+  this.atomic(key, docTransform, options, err => fn(err, err ? undefined : result))
+}
+
+function subdocSupported (key, fn) {
+  if (typeof this.bucket.lookupIn !== 'function' || typeof this.bucket.mutateIn !== 'function') {
+    return fn(false)
+  }
+
+  // schemas, encryption, history, compression and the hooks of whole document writes need the whole document
+  const full = fullKey.call(this, key)
+  if (this._schemas.matches(full) || (this._encryption && this._encryption.pathsFor(full).length) ||
+    historyLimit.call(this, key) || this.transcoder || hasHooks.call(this, ['atomic', 'upsert'])) {
+    return fn(false)
+  }
+
+  getCapabilities.call(this, {}, (err, capabilities) => {
+    if (err) {
+      debug(`Driver.atomicPath. could not get capabilities. error: ${err.message}`)
+    }
+    return fn(!err && capabilities.subdoc)
+  })
+}
+
+function lock (name, options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  const opts = defaults({}, options, LOCK_DEFAULTS)
+  if (typeof name !== 'string' || !name) {
+    return process.nextTick(() => fn(new TypeError('Lock name must be a non-empty string')))
+  } else if (!Number.isInteger(opts.ttl) || opts.ttl < 1) {
+    return process.nextTick(() => fn(new TypeError('Lock ttl must be a positive integer')))
+  } else if (!Number.isInteger(opts.wait) || opts.wait < 0) {
+    return process.nextTick(() => fn(new TypeError('Lock wait must be a non-negative integer')))
+  }
+
+  debug(`Driver.lock. key: ${name} options: %j`, opts)
+  acquire(lockStore.call(this), name, opts, fn)
+}
+
+// the lock document is read and written without hooks and operation events like atomic does
+function lockStore () {
+  return {
+    // the CAS value must be current so the cache is skipped
+    get: (key, fn) => getDocument.call(this, key, { cache: false, validateOnGet: false }, fn),
+    insert: (key, value, options, fn) => insert.call(this, key, value, options, fn),
+    upsert: (key, value, options, fn) => upsert.call(this, key, value, options, fn),
+    remove: (key, options, fn) => remove.call(this, key, options, fn)
+  }
+}
+
+function reserveSequence (name, options, fn) {
+  const context = { operation: 'counter', key: name }
+  const ropts = retryOptions(options, 'temp', Driver.isTemporaryError)
+  // a new counter starts at the end of the first block
+  const counterOptions = { initial: options.initial + options.blockSize - 1 }
+  fn = instrument.call(this, 'counter', name, fn)
+
+  debug(`Driver.sequence. key: ${name} block size: ${options.blockSize}`)
+  cacheDelete.call(this, name)
+  retry.call(this, ropts, context, rfn => {
+    const counter = done => this.bucket.counter(fullKey.call(this, name), options.blockSize, counterOptions, done)
+    limit.call(this, 'counter', counter, (err, res) => {
+      if (err) {
+        return rfn(driverErrors.wrap(err, context))
+      }
+      return rfn(null, Number(res.value))
+    })
+  }, fn)
+}
+
+function fragmentValue (frag, path) {
+  try {
+    return frag.content(path)
+  } catch (e) {
+    if (e.code === errors.subdocPathNotFound) {
+      return undefined
+    }
+    throw e
+  }
+}
+
+function atomicMulti (keys, transform, options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  if (!Array.isArray(keys) || new Set(keys).size !== keys.length) {
+    return process.nextTick(() => {
+      return fn(new Error('atomicMulti requires an array of unique keys'))
+    })
+  }
+
+  const opts = defaults({}, options, this.config)
+  let transformError = null
+  const ropts = retryOptions(opts, 'atomic', err => err !== transformError && !err.compensationErrors)
+
+  debug(`Driver.atomicMulti. keys: ${keys} retry options: %j`, ropts)
+  retry.call(this, ropts, { operation: 'atomicMulti', key: keys }, rfn => {
+    const read = opts.atomicLock ? lockAll : getAll
+    read.call(this, keys, (err, docs) => {
+      if (err) {
+        return rfn(err)
+      }
+
+      // keep a copy of the current values for rolling back as transform may mutate them
+      const prevValues = new Map(keys.map(k => [k, docs.get(k) ? cloneValue(docs.get(k).value) : undefined]))
+      const values = keys.map(k => docs.get(k) ? docs.get(k).value : undefined)
+      invokeAsync(transform, values, (err, oprs) => {
+        if (!err && (!Array.isArray(oprs) || oprs.length !== keys.length)) {
+          err = new Error('atomicMulti transform must return an operation for each key')
+        }
+
+        for (let i = 0; !err && i < keys.length; i++) {
+          err = validateOperation.call(this, keys[i], oprs[i])
+        }
+
+        if (err) {
+          transformError = err
+          return releaseAll.call(this, keys, docs, opts.atomicLock, () => rfn(err))
+        }
+
+        applyAll.call(this, keys, docs, prevValues, oprs, opts, rfn)
+      })
+    })
+  }, fn)
+}
+
+function lockAll (keys, fn) {
+  const docs = new Map()
+  // lock in a consistent order so concurrent calls on the same keys do not starve each other
+  const sorted = keys.slice().sort()
+  async.eachSeries(sorted, (key, eachFn) => {
+    getAndLock.call(this, key, (err, doc) => {
+      if (err) {
+        return eachFn(err)
+      }
+      docs.set(key, doc)
+      return eachFn()
+    })
+  }, err => {
+    if (err) {
+      return releaseAll.call(this, sorted, docs, true, () => fn(err))
+    }
+    return fn(null, docs)
+  })
+}
+
+function getAll (keys, fn) {
+  // the CAS values must be current so the cache is skipped
+  getMap.call(this, keys, { missing: true, cache: false }, (err, res) => {
+    if (err) {
+      return fn(err)
+    }
+
+    const docs = new Map()
+    for (const [key, entry] of res) {
+      if (entry.error) {
+        return fn(entry.error)
+      }
+      docs.set(key, entry.missing ? undefined : entry)
+    }
+    return fn(null, docs)
+  })
+}
+
+function releaseAll (keys, docs, locked, fn) {
+  if (!locked) {
+    return process.nextTick(fn)
+  }
+
+  async.eachSeries(keys, (key, eachFn) => {
+    const doc = docs.get(key)
+    if (!doc) {
+      return eachFn()
+    }
+    // unlock errors are ignored as the lock expires on its own anyway
+    this.unlock(key, doc.cas, () => eachFn())
+  }, () => fn())
+}
+
+function applyAll (keys, docs, prevValues, oprs, opts, fn) {
+  const applied = []
+  const results = []
+  let current = 0
+
+  async.eachOfSeries(keys, (key, i, eachFn) => {
+    const doc = docs.get(key)
+    const opr = oprs[i] || {}
+    const hopts = historyOptions(opts, doc ? { value: prevValues.get(key), cas: doc.cas } : null)
+    current = i
+    debug(`Driver.atomicMulti. key: ${key} action: ${opr.action}`)
+
+    const done = (err, res) => {
+      if (err) {
+        return eachFn(err)
+      }
+      applied.push({ key, doc, res, action: opr.action, prevValue: prevValues.get(key) })
+      results[i] = res
+      return eachFn()
+    }
+
+    if (opr.action === OPERATIONS.NOOP) {
+      results[i] = opr.value
+      if (!doc || !opts.atomicLock) {
+        return eachFn()
+      }
+      return this.unlock(key, doc.cas, eachFn)
+    } else if (opr.action === OPERATIONS.UPSERT && opr.value) {
+      const sopts = Object.assign(doc ? { cas: doc.cas } : {}, opts.saveOptions, hopts)
+      // if new document we want to try insert so the op will fail if
+      // it got inserted in the meantime by another request
+      if (doc) {
+        return upsert.call(this, key, opr.value, sopts, done)
+      }
+      return insert.call(this, key, opr.value, sopts, done)
+    } else if (!doc) {
+      return eachFn()
+    } else if (!opts.atomicLock) {
+      return remove.call(this, key, Object.assign({ cas: doc.cas }, hopts), done)
+    }
+
+    this.unlock(key, doc.cas, (err, doc2) => {
+      if (err) {
+        return eachFn(err)
+      }
+      const ropts = Object.assign(doc2 ? { cas: doc2.cas } : {}, hopts)
+      return remove.call(this, key, ropts, done)
+    })
+  }, err => {
+    if (!err) {
+      return fn(null, results)
+    }
+
+    releaseAll.call(this, keys.slice(current), docs, opts.atomicLock, () => {
+      compensate.call(this, applied, opts, compensationErrors => {
+        if (compensationErrors.length) {
+          err.compensationErrors = compensationErrors
+        }
+        return fn(err)
+      })
+    })
+  })
+}
+
+function compensate (applied, opts, fn) {
+  const compensationErrors = []
+  // undo the writes in reverse order
+  async.eachSeries(applied.slice().reverse(), ({ key, doc, res, action, prevValue }, eachFn) => {
+    debug(`Driver.atomicMulti. rolling back key: ${key}`)
+    const done = err => {
+      if (err) {
+        compensationErrors.push({ key, error: err })
+      }
+      return eachFn()
+    }
+
+    // the rolled back documents are written with the same options, ie expiry, as the applied writes
+    if (action !== OPERATIONS.UPSERT) {
+      return insert.call(this, key, prevValue, Object.assign({}, opts.saveOptions), done)
+    } else if (!doc) {
+      return remove.call(this, key, { cas: res.cas }, done)
+    }
+    return upsert.call(this, key, prevValue, Object.assign({}, opts.saveOptions, { cas: res.cas }), done)
+  }, () => fn(compensationErrors))
+}
+
+function validateDocument (key, value) {
+  // the revisions are stored as they were written
+  if (typeof key === 'string' && key.indexOf(this.config.historyPrefix) === 0) {
+    return null
+  }
+
+  const failures = this._schemas.validate(fullKey.call(this, key), value)
+  return failures ? new driverErrors.ValidationError(key, failures) : null
+}
+
+function validateOperation (key, opr) {
+  if (opr && opr.action === OPERATIONS.UPSERT && opr.value) {
+    return validateDocument.call(this, key, opr.value)
+  }
+  return null
+}
+
+function checkDrift (key, value, opts) {
+  if (!opts.validateOnGet) {
+    return
+  }
+
+  const failures = this._schemas.validate(fullKey.call(this, key), value)
+  if (failures) {
+    debug(`Driver.get. key: ${key} failed schema validation`)
+    this.emit('validationDrift', { operation: 'get', key, keyPrefix: getKeyPrefix.call(this, key), errors: failures })
+  }
+}
+
+function encryptDocument (key, value, fn) {
+  if (!this._encryption) {
+    return fn(null, value)
+  }
+  this._encryption.encrypt(fullKey.call(this, key), key, value, fn)
+}
+
+function decryptDocument (key, doc, fn) {
+  if (!this._encryption || !doc) {
+    return fn(null, doc)
+  }
+
+  this._encryption.decrypt(fullKey.call(this, key), key, doc.value, (err, value) => {
+    if (err) {
+      return fn(err)
+    }
+    doc.value = value
+    return fn(null, doc)
+  })
+}
+
+function cacheGet (key, options) {
+  const cacheKey = fullKey.call(this, key)
+  if (!this.cache || (options && options.cache === false) || !this.cache.isCacheable(cacheKey)) {
+    return
+  }
+
+  const doc = this.cache.get(cacheKey)
+  this.emit(doc ? 'cacheHit' : 'cacheMiss', { operation: 'get', keyPrefix: getKeyPrefix.call(this, key) })
+  if (doc) {
+    // copy so callers mutating the value do not change the cached document
+    return { value: cloneValue(doc.value), cas: doc.cas }
+  }
+}
+
+function cacheSet (key, doc, expiry) {
+  const cacheKey = fullKey.call(this, key)
+  if (!this.cache || !this.cache.isCacheable(cacheKey)) {
+    return
+  }
+
+  let maxTtl
+  if (expiry > MAX_RELATIVE_EXPIRY) {
+    maxTtl = Math.max(expiry * 1e3 - Date.now(), 1)
+  } else if (expiry > 0) {
+    maxTtl = expiry * 1e3
+  }
+  this.cache.set(cacheKey, { value: cloneValue(doc.value), cas: doc.cas }, maxTtl)
+}
+
+function cacheDelete (key) {
+  if (this.cache && typeof key === 'string') {
+    this.cache.delete(fullKey.call(this, key))
+  }
+}
+
+function fullKey (key) {
+  if (!this._keyPrefix) {
+    return key
+  } else if (Array.isArray(key)) {
+    return key.map(k => fullKey.call(this, k))
+  }
+  return typeof key === 'string' ? this._keyPrefix + key : key
+}
+
+function localKeys (res) {
+  if (!this._keyPrefix || !isObject(res)) {
+    return res
+  }
+
+  const local = {}
+  Object.keys(res).forEach(k => {
+    local[k.indexOf(this._keyPrefix) === 0 ? k.substring(this._keyPrefix.length) : k] = res[k]
+  })
+  return local
+}
+
+function historyLimit (key) {
+  if (!this._history.length || typeof key !== 'string' || key.indexOf(this.config.historyPrefix) === 0) {
+    return 0
+  }
+
+  const full = fullKey.call(this, key)
+  const match = this._history.find(({ regex }) => regex.test(full))
+  return match ? match.limit : 0
+}
+
+function tempOptions (options) {
+  const picked = {}
+  TEMP_RETRY_OPTIONS.forEach(name => {
+    if (options && options[name] !== undefined) {
+      picked[name] = options[name]
+    }
+  })
+  return picked
+}
+
+// the options of the driver are not passed on to the bucket
+function bucketOptions (options) {
+  const picked = {}
+  Object.keys(options).forEach(name => {
+    if (TEMP_RETRY_OPTIONS.indexOf(name) < 0) {
+      picked[name] = options[name]
+    }
+  })
+  return picked
+}
+
+function historyOptions (options, prev) {
+  const picked = options.actor !== undefined ? { actor: options.actor } : {}
+  if (prev !== undefined) {
+    picked[PREVIOUS] = prev
+  }
+  return picked
+}
+
+function previousRevision (key, doc) {
+  if (!(historyLimit.call(this, key) > 0)) {
+    return undefined
+  }
+  // copied as the transform may mutate the value
+  return doc ? { value: cloneValue(doc.value), cas: doc.cas } : null
+}
+
+function revisionKey (key, rev) {
+  return `${this.config.historyPrefix}${key}::${rev}`
+}
+
+/**
+ * Runs the write <code>task</code> with the options to write with and saves the previous value of the document as a
+ * revision if history is enabled for the key. The previous value is the one passed by atomic, or the one read with
+ * the <code>cas</code> option of the write, or else read while locking the document so it cannot change before the
+ * write. A document created in the meantime by another writer of a key that did not exist is overwritten without a
+ * revision as there is nothing to lock.
+ * @private
+ */
+function withHistory (operation, key, options, task, fn) {
+  const limit = operation === 'insert' ? 0 : historyLimit.call(this, key)
+  if (!(limit > 0)) {
+    return task(options, fn)
+  }
+
+  const run = (prev, opts, done) => {
+    task(opts, (err, res) => {
+      if (err || !prev) {
+        return done(err, res)
+      }
+
+      saveRevision.call(this, key, prev.value, { operation, actor: options.actor, limit }, () => done(null, res))
+    })
+  }
+
+  if (options[PREVIOUS] !== undefined) {
+    return run(options[PREVIOUS], options, fn)
+  } else if (options.cas) {
+    // the write fails if the document changed since the read
+    return getDocument.call(this, key, { cache: false, validateOnGet: false }, (err, prev) => {
+      return err ? fn(err) : run(prev, options, fn)
+    })
   }
 
-  debug(`Driver.${type}. key: ${key} retry options: %j`, ropts)
+  getAndLock.call(this, key, tempOptions(options), (err, prev) => {
+    if (err || !prev) {
+      return err ? fn(err) : run(null, options, fn)
+    }
 
-  if (!key) {
-    return process.nextTick(fn)
+    // writing or removing with the CAS of the lock unlocks the document
+    run(prev, Object.assign({}, options, { cas: prev.cas }), (err, res) => {
+      if (err) {
+        return this.bucket.unlock(fullKey.call(this, key), prev.cas, () => fn(err))
+      }
+      return fn(null, res)
+    })
+  })
+}
+
+function saveRevision (key, value, meta, fn) {
+  const indexKey = this.config.historyPrefix + key
+  const timestamp = new Date().toISOString()
+  const { operation, actor, limit } = meta
+  let rev
+  let dropped
+
+  debug(`Driver.saveRevision. key: ${key}`)
+  const done = err => {
+    if (err) {
+      debug(`Driver.saveRevision. key: ${key} error: ${err.message}`)
+      this.emit('historyError', { key, error: err })
+    }
+    return fn()
   }
 
-  async.retry(ropts, rFn => {
-    this.bucket[type](key, value, options, rFn)
-  }, fn)
+  _atomicNoLock.call(this, indexKey, index => {
+    index = index || { key, next: 1, revisions: [] }
+    rev = index.next++
+    index.revisions.push({ rev, timestamp, operation, actor })
+    dropped = index.revisions.splice(0, Math.max(index.revisions.length - limit, 0))
+    return { value: index, action: OPERATIONS.UPSERT }
+  }, {}, err => {
+    if (err) {
+      return done(err)
+    }
+
+    // the revision is encrypted the same way as the document
+    encryptDocument.call(this, key, value, (err, stored) => {
+      if (err) {
+        return done(err)
+      }
+
+      const revision = { key, rev, timestamp, operation, actor, value: stored }
+      upsert.call(this, revisionKey.call(this, key, rev), revision, {}, err => {
+        if (err || !dropped.length) {
+          return done(err)
+        }
+        removeMulti.call(this, dropped.map(r => revisionKey.call(this, key, r.rev)), {}, () => done())
+      })
+    })
+  })
 }
 
-function atomic (key, transform, options, fn) {
-  if (options instanceof Function) {
-    fn = options
-    options = {}
-  }
+function getRevisions (key, fn) {
+  this.get(this.config.historyPrefix + key, (err, index) => {
+    if (err || !index) {
+      return fn(err, [])
+    }
 
-  debug(`Driver.atomic. key: ${key}`)
-  if (options.atomicLock) {
-    return this._atomicWithLock(key, transform, options, fn)
-  }
-  return this._atomicNoLock(key, transform, options, fn)
+    const keys = index.value.revisions.map(r => revisionKey.call(this, key, r.rev)).reverse()
+    this.getMap(keys, { missing: false }, (err, res) => {
+      if (err) {
+        return fn(err)
+      }
+
+      const revisions = Array.from(res.values())
+      const failed = revisions.find(entry => entry.error)
+      if (failed) {
+        return fn(failed.error)
+      }
+
+      async.mapSeries(revisions, (entry, mapFn) => {
+        decryptDocument.call(this, key, entry.value, (err, doc) => mapFn(err, doc))
+      }, fn)
+    })
+  })
 }
 
-function _atomicWithLock (key, transform, options, fn) {
+function restoreRevision (key, rev, options, fn) {
   if (options instanceof Function) {
     fn = options
     options = {}
   }
 
-  const opts = defaults(options, this.config)
-  const ropts = {
-    times: opts.atomicRetryTimes,
-    interval: options.atomicRetryInterval
-  }
+  debug(`Driver.restoreRevision. key: ${key} rev: ${rev}`)
+  this.get(revisionKey.call(this, key, rev), (err, res) => {
+    if (err) {
+      return fn(err)
+    }
 
-  debug(`Driver._atomicWithLock. key: ${key} retry options: %j`, ropts)
-  async.retry(ropts, rfn => {
-    this.getAndLock(key, (err, doc) => {
+    if (!res) {
+      return fn(new Error(`Revision ${rev} of ${key} not found`))
+    }
+
+    decryptDocument.call(this, key, res.value, (err, revision) => {
       if (err) {
-        return rfn(err)
+        return fn(err)
       }
+      this.atomic(key, () => ({ value: revision.value, action: OPERATIONS.UPSERT }), options, fn)
+    })
+  })
+}
 
-      const opr = transform(doc ? doc.value : undefined)
-      const opts = doc ? { cas: doc.cas } : {}
-      Object.assign(opts, options.saveOptions)
-      debug(`Driver.atomicWithLock. action: ${opr.action}`)
-      if (opr.action === OPERATIONS.NOOP) {
-        if (!doc) {
-          return rfn(err, opr.value)
-        }
-        this.unlock(key, doc.cas, err => {
-          return rfn(err, opr.value)
-        })
-      } else if (opr.action === OPERATIONS.UPSERT && opr.value) {
-        // if new document we want to try insert so the op will fail if
-        // it got inserted in the meantime by another request
-        if (doc) {
-          return this.upsert(key, opr.value, opts, rfn)
-        }
-        return this.insert(key, opr.value, opts, rfn)
+function getKeyPrefix (key) {
+  if (Array.isArray(key) || key instanceof Map || isObject(key)) {
+    // multi-key operations report the prefix shared by all the keys, or the keys of the items
+    const prefixes = toMultiItems(key).map(item => getKeyPrefix.call(this, item.key))
+    return prefixes.every(p => p === prefixes[0]) ? (prefixes[0] || '') : '*'
+  }
+  key = fullKey.call(this, key)
+
+  if (typeof this.config.metricsKeyPrefix === 'function') {
+    return this.config.metricsKeyPrefix(key)
+  }
+
+  const match = typeof key === 'string' ? key.match(/^(.*?)::?/) : null
+  return match ? match[1] : ''
+}
+
+function instrument (operation, key, fn) {
+  const keyPrefix = getKeyPrefix.call(this, key)
+  const start = process.hrtime()
+  this.emit('operationStart', { operation, keyPrefix })
+
+  const driver = this
+  return function (err, result, misses) {
+    const diff = process.hrtime(start)
+    const event = { operation, keyPrefix, duration: diff[0] * 1e3 + diff[1] / 1e6 }
+    if (operation === 'get') {
+      if (Array.isArray(key)) {
+        event.misses = Array.isArray(misses) ? misses.length : 0
       } else {
-        this.unlock(key, doc.cas, (err, doc2) => {
-          if (err) {
-            return rfn(err)
-          }
-          const ropts = doc2 ? { cas: doc2.cas } : {}
-          return this.remove(key, ropts, rfn)
-        })
+        event.misses = !err && !result ? 1 : 0
       }
-    })
-  }, fn)
+    }
+
+    if (err) {
+      event.error = err
+      driver.emit('operationError', event)
+    } else {
+      driver.emit('operationSuccess', event)
+    }
+
+    return fn.apply(this, arguments)
+  }
 }
 
-function _atomicNoLock (key, transform, options, fn) {
-  if (options instanceof Function) {
-    fn = options
-    options = {}
+function retryOptions (opts, type, errorFilter) {
+  if (type === 'temp') {
+    return {
+      times: opts.retryTemporaryErrors ? opts.tempRetryTimes : 1,
+      interval: opts.tempRetryInterval,
+      maxInterval: opts.tempRetryMaxInterval,
+      backoff: opts.tempRetryBackoff,
+      errorFilter,
+      type
+    }
   }
 
-  const opts = defaults(options, this.config)
-  const ropts = {
+  return {
     times: opts.atomicRetryTimes,
-    interval: options.atomicRetryInterval
+    interval: opts.atomicRetryInterval,
+    maxInterval: opts.atomicRetryMaxInterval,
+    backoff: opts.atomicRetryBackoff,
+    errorFilter,
+    type
   }
+}
 
-  debug(`Driver._atomicNoLock. key: ${key} retry options: %j`, ropts)
-  async.retry(ropts, rfn => {
-    this.get(key, (err, doc) => {
-      if (err) {
-        return rfn(err)
-      }
+function backoffFunction (ropts) {
+  if (typeof ropts.backoff === 'function') {
+    return ropts.backoff
+  }
 
-      const opr = transform(doc ? doc.value : undefined)
-      const opts = doc ? { cas: doc.cas } : {}
-      debug(`Driver.atomicNoLock. action: ${opr.action}`)
-      if (opr.action === OPERATIONS.NOOP) {
-        return rfn(null, opr.value)
-      } else if (opr.action === OPERATIONS.UPSERT && opr.value) {
-        // if new document we want to try insert so the op will fail if
-        // it got inserted in the meantime by another request
-        if (doc) {
-          return this.upsert(key, opr.value, opts, rfn)
-        }
-        return this.insert(key, opr.value, rfn)
-      }
-      return this.remove(key, opts, rfn)
+  if (ropts.backoff === BACKOFF.EXPONENTIAL) {
+    // full jitter: random time between 0 and the capped exponential interval
+    return attempt => {
+      const cap = Math.min(ropts.maxInterval, ropts.interval * Math.pow(2, attempt - 1))
+      return Math.floor(Math.random() * cap)
+    }
+  }
+
+  return () => ropts.interval
+}
+
+function retry (ropts, context, task, fn) {
+  const backoff = backoffFunction(ropts)
+  const keyPrefix = getKeyPrefix.call(this, context.key)
+  let lastError = null
+  let attempt = 0
+  async.retry({
+    times: ropts.times,
+    // async passes the number of the upcoming attempt, we pass the number of the retry
+    interval: next => {
+      const delay = backoff(next - 1, lastError)
+      this.emit('retry', {
+        operation: context.operation,
+        keyPrefix,
+        type: ropts.type,
+        attempt: next - 1,
+        delay,
+        error: lastError
+      })
+      return delay
+    },
+    errorFilter: ropts.errorFilter
+  }, rFn => {
+    attempt++
+    if (ropts.type === 'atomic') {
+      this.emit('atomicAttempt', { operation: context.operation, keyPrefix, attempt })
+    }
+    task((err, ...args) => {
+      lastError = err
+      return rFn(err, ...args)
     })
   }, fn)
 }
 
+function limit (operation, task, fn) {
+  if (!this.limiter) {
+    return task(fn)
+  }
+  this.limiter.run(operation, task, fn)
+}
+
+function invokeAsync (func, value, fn) {
+  let called = false
+  let pending = null
+  const done = (err, opr) => {
+    if (!called) {
+      called = true
+      // called back before the function returned, wait so errors thrown by fn are not caught below
+      if (pending) {
+        pending.result = [err, opr]
+        return
+      }
+      return fn(err, opr)
+    }
+  }
+
+  let res
+  pending = {}
+  try {
+    res = func.length >= 2 ? func(value, done) : func(value)
+  } catch (e) {
+    pending.error = e
+  }
+
+  const { result, error } = pending
+  pending = null
+  if (result) {
+    return fn(...result)
+  } else if (error) {
+    return done(error)
+  }
+
+  if (res && typeof res.then === 'function') {
+    // get out of the promise chain so errors thrown in the callback are not swallowed
+    return res.then(
+      opr => process.nextTick(() => done(null, opr)),
+      err => process.nextTick(() => done(err || new Error('Function rejected')))
+    )
+  }
+
+  // callback style functions return nothing and call back
+  if (res === undefined && func.length >= 2) {
+    return
+  }
+  return done(null, res)
+}
+
+function cloneValue (value) {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.from(value)
+  } else if (isObject(value)) {
+    return JSON.parse(JSON.stringify(value))
+  }
+  return value
+}
+
 function isObject (value) {
   const type = typeof value
   return value != null && (type === 'object' || type === 'function')
 }
 
+function queryStream (query, params, options) {
+  const stream = new QueryStream(options)
+  let completed = false
+  const done = instrument.call(this, 'query', undefined, err => {
+    if (err) {
+      debug(`Driver.queryStream. error: ${err.message}`)
+    }
+  })
+  const fn = err => {
+    if (!completed) {
+      completed = true
+      done(err)
+    }
+  }
+  stream.once('meta', () => fn(null))
+  stream.once('error', err => fn(err))
+  // destroyed before all the rows were received, ie the iteration stopped early
+  stream.once('close', () => fn(null))
+
+  let req
+  try {
+    req = this.bucket.query(query, params)
+  } catch (e) {
+    process.nextTick(() => stream.destroy(e))
+    return stream
+  }
+
+  stream._attach(req)
+  return stream
+}
+
 function getNodeUri (bucket) {
   if (!bucket ||
     !bucket._cb ||
@@ -609,31 +3003,57 @@ function getNodeUri (bucket) {
   return bucket._execAndUriParse(dbnodeFn)
 }
 
-function getNodeDataRequestOptions (bucket) {
+function getNodeDataRequestOptions (bucket, options) {
   const nodeUri = getNodeUri(bucket)
   if (!nodeUri) {
     return
   }
+  const secure = options.https === undefined ? nodeUri.protocol === 'https:' : !!options.https
   const reqOpts = {
-    agent: this.httpAgent,
     hostname: nodeUri.hostname,
-    port: nodeUri.port,
+    port: options.port || (secure && nodeUri.protocol !== 'https:' ? MANAGEMENT_HTTPS_PORT : nodeUri.port),
     path: '/pools/default',
     method: 'GET',
-    headers: { 'Content-Type': 'application/json' }
+    headers: { 'Content-Type': 'application/json' },
+    timeout: options.timeout
+  }
+  if (secure) {
+    reqOpts.protocol = 'https:'
+    reqOpts.ca = options.ca
+    reqOpts.rejectUnauthorized = options.rejectUnauthorized !== false
+  } else {
+    reqOpts.agent = bucket.httpAgent
   }
-  if (this._password) {
-    reqOpts.auth = this._username + ':' + this._password
+
+  const username = options.username || bucket._username
+  const password = options.password || bucket._password
+  if (password) {
+    reqOpts.auth = username + ':' + password
   }
   return reqOpts
 }
 
-function getNodeData (bucket, fn) {
-  const reqOpts = getNodeDataRequestOptions(bucket)
+function getNodeData (bucket, options, fn) {
+  // buckets not backed by a cluster, such as MemoryBucket, provide the node data themselves
+  if (bucket && typeof bucket._getNodeData === 'function') {
+    return bucket._getNodeData(fn)
+  }
+
+  const reqOpts = getNodeDataRequestOptions(bucket, options)
   if (!reqOpts) {
     return fn(new Error('Could not get server node data'))
   }
-  const req = http.request(reqOpts, res => {
+  // the request can fail after timing out, so only call back once
+  let done = false
+  const finish = (err, data) => {
+    if (!done) {
+      done = true
+      fn(err, data)
+    }
+  }
+
+  const client = reqOpts.protocol === 'https:' ? https : http
+  const req = client.request(reqOpts, res => {
     const statusCode = res.statusCode
     let error
     if (statusCode !== 200) {
@@ -642,7 +3062,7 @@ function getNodeData (bucket, fn) {
 
     if (error) {
       res.resume()
-      return fn(error)
+      return finish(error)
     }
 
     res.setEncoding('utf8')
@@ -651,47 +3071,326 @@ function getNodeData (bucket, fn) {
     res.on('end', () => {
       try {
         const parsedData = JSON.parse(rawData)
-        return fn(null, parsedData)
+        return finish(null, parsedData)
       } catch (e) {
-        return fn(e)
+        return finish(e)
       }
     })
   })
 
+  req.on('timeout', () => {
+    finish(Object.assign(new Error(`Node request timed out after ${reqOpts.timeout}ms`), { code: 'ETIMEDOUT' }))
+    req.abort()
+  })
+
   req.on('error', (e) => {
-    fn(e)
+    finish(e)
   })
 
   req.end()
 }
 
+function managementOptions (options) {
+  return defaults({}, options, this.config.management, { timeout: MANAGEMENT_TIMEOUT })
+}
+
+function hasNodes (nodeData) {
+  return nodeData && Array.isArray(nodeData.nodes) && nodeData.nodes.length > 0
+}
+
+function nodeVersion (vStr) {
+  const i = typeof vStr === 'string' ? vStr.indexOf('-') : -1
+  if (i <= 0) {
+    return vStr
+  }
+  return vStr.substring(0, i)
+}
+
+function lowestVersion (nodes) {
+  return nodes.map(n => nodeVersion(n.version)).reduce((lv, v) => {
+    if (semver.lt(lv, v)) {
+      return lv
+    }
+    return v
+  }, '1000.1000.1000')
+}
+
 function getServerVersion (fn) {
-  getNodeData(this.bucket, (err, nodeData) => {
+  getNodeData(this.bucket, managementOptions.call(this), (err, nodeData) => {
     if (err) {
       return fn(err)
     }
-    if (!nodeData ||
-      !nodeData.nodes ||
-      !Array.isArray(nodeData.nodes) ||
-      !nodeData.nodes.length) {
+    if (!hasNodes(nodeData)) {
       return fn(new Error('No couchbase server node data'))
     }
-    let versions = nodeData.nodes.map(n => n.version)
-    versions = versions.map(vStr => {
-      const i = vStr.indexOf('-')
-      if (i <= 0) {
-        return vStr
-      }
-      return vStr.substring(0, i)
+    return fn(null, lowestVersion(nodeData.nodes))
+  })
+}
+
+function getCapabilities (options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  const cached = this._capabilities
+  const interval = this.config.capabilitiesRefreshInterval
+  if (cached && !(options && options.refresh) && (!(interval > 0) || Date.now() - cached.fetched < interval)) {
+    return process.nextTick(() => fn(null, capabilitiesFor(cached.version)))
+  }
+
+  // concurrent calls share the request
+  if (this._capabilitiesPending) {
+    return this._capabilitiesPending.push(fn)
+  }
+
+  this._capabilitiesPending = [fn]
+  getServerVersion.call(this, (err, version) => {
+    const pending = this._capabilitiesPending
+    this._capabilitiesPending = null
+    if (!err) {
+      this._capabilities = { version, fetched: Date.now() }
+    } else if (this._capabilities) {
+      debug(`Driver.getCapabilities. using cached version ${this._capabilities.version}. error: ${err.message}`)
+    }
+
+    pending.forEach(pFn => this._capabilities
+      ? pFn(null, capabilitiesFor(this._capabilities.version))
+      : pFn(err))
+  })
+}
+
+function capabilitiesFor (version) {
+  const capabilities = { version }
+  Object.keys(CAPABILITIES).forEach(name => {
+    capabilities[name] = semver.gte(version, CAPABILITIES[name])
+  })
+  return capabilities
+}
+
+function requires (features, fn) {
+  features = [].concat(features)
+  const unknown = features.find(feature => !CAPABILITIES.hasOwnProperty(feature))
+  if (unknown !== undefined) {
+    return process.nextTick(() => fn(new TypeError(`Unknown capability: ${unknown}`)))
+  }
+
+  getCapabilities.call(this, {}, (err, capabilities) => {
+    if (err) {
+      return fn(err)
+    }
+
+    const unsupported = features.filter(name => !capabilities[name])
+    if (unsupported.length) {
+      return fn(new driverErrors.UnsupportedError(capabilities.version,
+        unsupported.map(name => ({ name, version: CAPABILITIES[name] }))))
+    }
+    return fn(null, capabilities)
+  })
+}
+
+function getClusterInfo (options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  getNodeData(this.bucket, managementOptions.call(this, options), (err, nodeData) => {
+    if (err) {
+      return fn(err)
+    }
+    if (!hasNodes(nodeData)) {
+      return fn(new Error('No couchbase server node data'))
+    }
+
+    const storage = nodeData.storageTotals || {}
+    return fn(null, {
+      name: nodeData.clusterName || nodeData.name,
+      version: lowestVersion(nodeData.nodes),
+      balanced: nodeData.balanced,
+      rebalanceStatus: nodeData.rebalanceStatus,
+      storage: {
+        ram: storage.ram,
+        hdd: storage.hdd
+      },
+      nodes: nodeData.nodes.map(node => {
+        const stats = node.interestingStats || {}
+        return {
+          hostname: node.hostname,
+          status: node.status,
+          clusterMembership: node.clusterMembership,
+          services: node.services || [],
+          version: nodeVersion(node.version),
+          fullVersion: node.version,
+          uptime: node.uptime !== undefined ? Number(node.uptime) : undefined,
+          memory: {
+            total: node.memoryTotal,
+            free: node.memoryFree,
+            used: stats.mem_used
+          },
+          disk: {
+            used: stats.couch_docs_actual_disk_size,
+            data: stats.couch_docs_data_size
+          },
+          items: stats.curr_items
+        }
+      })
     })
-    const version = versions.reduce((lv, v) => {
-      if (semver.lt(lv, v)) {
-        return lv
-      }
-      return v
-    }, '1000.1000.1000')
-    return fn(null, version)
   })
 }
 
+function healthCheck (options, fn) {
+  if (options instanceof Function) {
+    fn = options
+    options = {}
+  }
+
+  const start = Date.now()
+  getClusterInfo.call(this, options, (err, info) => {
+    const duration = Date.now() - start
+    if (err) {
+      debug(`Driver.healthCheck. error: ${err.message}`)
+      return fn(null, {
+        healthy: false,
+        status: HEALTH_STATUS.UNHEALTHY,
+        nodes: { total: 0, active: 0, healthy: 0 },
+        unhealthyNodes: [],
+        rebalancing: false,
+        duration,
+        error: err.message
+      })
+    }
+
+    const active = info.nodes.filter(node => node.clusterMembership === undefined ||
+      node.clusterMembership === 'active')
+    const healthy = active.filter(node => node.status === 'healthy')
+    let status = HEALTH_STATUS.HEALTHY
+    if (!healthy.length) {
+      status = HEALTH_STATUS.UNHEALTHY
+    } else if (healthy.length < active.length) {
+      status = HEALTH_STATUS.DEGRADED
+    }
+
+    return fn(null, {
+      healthy: status === HEALTH_STATUS.HEALTHY,
+      status,
+      version: info.version,
+      nodes: { total: info.nodes.length, active: active.length, healthy: healthy.length },
+      unhealthyNodes: active.filter(node => node.status !== 'healthy').map(node => node.hostname),
+      rebalancing: !!info.rebalanceStatus && info.rebalanceStatus !== 'none',
+      duration
+    })
+  })
+}
+
+function addHook (stage, operations, fn) {
+  if (!Array.isArray(operations)) {
+    operations = [operations]
+  }
+
+  if (typeof fn !== 'function') {
+    throw new TypeError('Hook must be a function')
+  }
+
+  operations.forEach(operation => {
+    if (!hooked[operation]) {
+      throw new Error(`Invalid hook operation: ${operation}`)
+    }
+
+    const hooks = this._hooks[stage]
+    hooks[operation] = (hooks[operation] || []).concat(fn)
+  })
+
+  return this
+}
+
+function hasHooks (operations) {
+  return operations.some(operation => ['pre', 'post'].some(stage => {
+    const hooks = this._hooks[stage][operation]
+    return Boolean(hooks && hooks.length)
+  }))
+}
+
+function runHooks (hooks, context, fn) {
+  async.eachSeries(hooks, (hook, eachFn) => invokeAsync(hook, context, eachFn), err => fn(err))
+}
+
+function withHooks (operation, params, impl) {
+  const wrapper = function () {
+    const args = Array.from(arguments)
+    const fn = instrument.call(this, operation, args[0], args.pop())
+    const pre = this._hooks.pre[operation] || []
+    const post = this._hooks.post[operation] || []
+    if (!pre.length && !post.length) {
+      return impl.apply(this, args.concat(fn))
+    }
+
+    const context = { driver: this, operation }
+    params.forEach((param, i) => {
+      context[param] = args[i]
+    })
+    context.options = context.options || {}
+
+    debug(`Driver.${operation}. running hooks pre: ${pre.length} post: ${post.length}`)
+    runHooks(pre, context, err => {
+      if (err) {
+        return fn(err)
+      }
+
+      impl.apply(this, params.map(param => context[param]).concat(function (err, result, misses) {
+        context.error = err
+        context.result = result
+        if (arguments.length > 2) {
+          context.misses = misses
+        }
+
+        runHooks(post, context, err => {
+          if (err) {
+            return fn(err)
+          }
+
+          if (arguments.length > 2) {
+            return fn(context.error, context.result, context.misses)
+          }
+          return fn(context.error, context.result)
+        })
+      }))
+    })
+  }
+
+  // promisify-call relies on the number of arguments of the function
+  Object.defineProperty(wrapper, 'length', { value: impl.length })
+  return wrapper
+}
+
+function withEvents (operation, impl) {
+  const wrapper = function () {
+    const args = Array.from(arguments)
+    const fn = instrument.call(this, operation, args[0], args.pop())
+    return impl.apply(this, args.concat(fn))
+  }
+
+  // promisify-call relies on the number of arguments of the function
+  Object.defineProperty(wrapper, 'length', { value: impl.length })
+  return wrapper
+}
+
+// the public operations without hooks that emit the operation events
+const instrumented = {
+  getMap: withEvents('getMap', getMap),
+  atomicMulti: withEvents('atomicMulti', atomicMulti)
+}
+
+const hooked = {
+  get: withHooks('get', ['key', 'options'], getDocument),
+  getAndLock: withHooks('getAndLock', ['key', 'options'], getAndLock),
+  insert: withHooks('insert', ['key', 'value', 'options'], insert),
+  upsert: withHooks('upsert', ['key', 'value', 'options'], upsert),
+  remove: withHooks('remove', ['key', 'options'], remove),
+  atomic: withHooks('atomic', ['key', 'transform', 'options'], atomic),
+  insertMulti: withHooks('insertMulti', ['items', 'options'], insertMulti),
+  upsertMulti: withHooks('upsertMulti', ['items', 'options'], upsertMulti),
+  removeMulti: withHooks('removeMulti', ['keys', 'options'], removeMulti)
+}
+
 module.exports = Driver
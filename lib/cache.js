@@ -0,0 +1,113 @@
+class DocumentCache {
+  /**
+   * @classdesc In-process LRU cache of documents used by the driver to serve reads from memory. Entries expire after a
+   * TTL that can be set per key prefix. The least recently used entries are dropped once the size limit is reached.
+   *
+   * @description
+   * Constructs the new cache. Use the <code>cache</code> option of <code>Driver.create()</code> to enable it.
+   *
+   * @param {Object} options - Options
+   * @param {Number} options.max - The maximum number of documents in the cache. Default: <code>1000</code>.
+   * @param {Number} options.ttl - The time to keep a document in the cache, in milliseconds.
+   *                               <code>0</code> does not cache documents. Default: <code>60000</code>.
+   * @param {Object} options.prefixTtl - TTL in milliseconds per key prefix, ie <code>{ 'config::': 300000 }</code>.
+   *                                     The longest matching prefix takes precedence over <code>ttl</code>.
+   */
+  constructor (options = {}) {
+    this.max = options.max > 0 ? options.max : 1000
+    this.ttl = typeof options.ttl === 'number' ? options.ttl : 60000
+    const prefixTtl = options.prefixTtl || {}
+    this.prefixes = Object.keys(prefixTtl)
+      .sort((a, b) => b.length - a.length)
+      .map(prefix => ({ prefix, ttl: prefixTtl[prefix] }))
+    this.entries = new Map()
+  }
+
+  /**
+   * The number of documents in the cache, including expired ones not yet dropped.
+   */
+  get size () {
+    return this.entries.size
+  }
+
+  /**
+   * Gets the TTL for the document key.
+   * @param {String} key - the document key
+   * @returns {Number} the TTL in milliseconds
+   */
+  ttlFor (key) {
+    const match = this.prefixes.find(({ prefix }) => key.indexOf(prefix) === 0)
+    return match ? match.ttl : this.ttl
+  }
+
+  /**
+   * Determines if documents with the key are cached at all.
+   * @param {String} key - the document key
+   * @returns {Boolean}
+   */
+  isCacheable (key) {
+    return typeof key === 'string' && this.ttlFor(key) > 0
+  }
+
+  /**
+   * Gets the cached document.
+   * @param {String} key - the document key
+   * @returns {Object|undefined} the cached <code>{ value, cas }</code> or <code>undefined</code> if not cached
+   *                             or expired
+   */
+  get (key) {
+    const entry = this.entries.get(key)
+    if (!entry) {
+      return
+    }
+
+    this.entries.delete(key)
+    if (entry.expires <= Date.now()) {
+      return
+    }
+
+    // reinsert to mark as most recently used
+    this.entries.set(key, entry)
+    return entry.doc
+  }
+
+  /**
+   * Caches the document.
+   * @param {String} key - the document key
+   * @param {Object} doc - the document <code>{ value, cas }</code>
+   * @param {Number} maxTtl - the maximum time to keep the document, in milliseconds, ie its expiry
+   */
+  set (key, doc, maxTtl) {
+    let ttl = this.ttlFor(key)
+    if (maxTtl > 0) {
+      ttl = Math.min(ttl, maxTtl)
+    }
+
+    this.entries.delete(key)
+    if (!(ttl > 0)) {
+      return
+    }
+
+    this.entries.set(key, { doc, expires: Date.now() + ttl })
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  /**
+   * Drops the document from the cache.
+   * @param {String} key - the document key
+   */
+  delete (key) {
+    this.entries.delete(key)
+  }
+
+  /**
+   * Drops all the documents from the cache.
+   */
+  clear () {
+    this.entries.clear()
+  }
+}
+
+module.exports = DocumentCache
@@ -0,0 +1,174 @@
+const crypto = require('crypto')
+const async = require('async')
+const { toRegExp } = require('./patterns')
+const { EncryptionError } = require('./errors')
+
+const ALGORITHM = 'AES-256-GCM'
+const CIPHER = 'aes-256-gcm'
+const FIELD_PREFIX = 'encrypted$'
+const KEY_LENGTH = 32
+const IV_LENGTH = 12
+
+/**
+ * Encrypts and decrypts fields of documents by key pattern. Each encrypted field <code>name</code> is stored as
+ * <code>encrypted$name</code> with <code>{ alg, kid, iv, tag, ciphertext }</code> where <code>kid</code> is the id of
+ * the key used so keys can be rotated. The ciphertext is authenticated with the full document key and the path.
+ * @private
+ */
+class FieldEncryption {
+  /**
+   * @param {Object} fields - the paths of the fields to encrypt by key pattern
+   * @param {String|Function} keyId - the id of the key to encrypt with, or a function that returns it
+   * @param {Function} getKey - function <code>(keyId, fn)</code> that calls back with the key for the id
+   */
+  constructor (fields, keyId, getKey) {
+    this.entries = Object.keys(fields).map(pattern => ({ regex: toRegExp(pattern), paths: [].concat(fields[pattern]) }))
+    this.keyId = keyId
+    this.getKey = getKey
+  }
+
+  /**
+   * Gets the paths of the fields to encrypt for the document key.
+   * @param {String} key - the document key
+   * @returns {Array} the paths
+   */
+  pathsFor (key) {
+    const paths = []
+    this.entries.forEach(({ regex, paths: entryPaths }) => {
+      if (typeof key === 'string' && regex.test(key)) {
+        entryPaths.forEach(path => {
+          if (paths.indexOf(path) < 0) {
+            paths.push(path)
+          }
+        })
+      }
+    })
+    return paths
+  }
+
+  /**
+   * Encrypts the fields of the document value. The value is not modified.
+   * @param {String} key - the full document key
+   * @param {String} docKey - the document key reported in errors
+   * @param {*} value - the document value
+   * @param {Function} fn - callback with the value to store
+   */
+  encrypt (key, docKey, value, fn) {
+    const paths = this.pathsFor(key)
+    if (!paths.length || !isPlainObject(value)) {
+      return fn(null, value)
+    }
+
+    const kid = typeof this.keyId === 'function' ? this.keyId() : this.keyId
+    this._key(kid, docKey, (err, secret) => {
+      if (err) {
+        return fn(err)
+      }
+
+      const encrypted = JSON.parse(JSON.stringify(value))
+      try {
+        paths.forEach(path => {
+          const { parent, name } = resolve(encrypted, path)
+          if (!parent || parent[name] === undefined) {
+            return
+          }
+
+          const iv = crypto.randomBytes(IV_LENGTH)
+          const cipher = crypto.createCipheriv(CIPHER, secret, iv)
+          cipher.setAAD(additionalData(key, path))
+          const ciphertext = Buffer.concat([cipher.update(JSON.stringify(parent[name]), 'utf8'), cipher.final()])
+
+          delete parent[name]
+          parent[FIELD_PREFIX + name] = {
+            alg: ALGORITHM,
+            kid,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            ciphertext: ciphertext.toString('base64')
+          }
+        })
+      } catch (e) {
+        return fn(new EncryptionError(docKey, `Could not encrypt document ${docKey}`, e))
+      }
+
+      return fn(null, encrypted)
+    })
+  }
+
+  /**
+   * Decrypts the encrypted fields of the document value in place.
+   * @param {String} key - the full document key
+   * @param {String} docKey - the document key reported in errors
+   * @param {*} value - the stored document value
+   * @param {Function} fn - callback with the decrypted value
+   */
+  decrypt (key, docKey, value, fn) {
+    const paths = this.pathsFor(key)
+    if (!paths.length || !isPlainObject(value)) {
+      return fn(null, value)
+    }
+
+    async.eachSeries(paths, (path, eachFn) => {
+      const { parent, name } = resolve(value, path)
+      const field = parent ? parent[FIELD_PREFIX + name] : undefined
+      if (!isPlainObject(field)) {
+        return eachFn()
+      }
+
+      this._key(field.kid, docKey, (err, secret) => {
+        if (err) {
+          return eachFn(err)
+        }
+
+        try {
+          const decipher = crypto.createDecipheriv(CIPHER, secret, Buffer.from(field.iv, 'base64'))
+          decipher.setAAD(additionalData(key, path))
+          decipher.setAuthTag(Buffer.from(field.tag, 'base64'))
+          const plaintext = Buffer.concat([
+            decipher.update(Buffer.from(field.ciphertext, 'base64')),
+            decipher.final()
+          ])
+          parent[name] = JSON.parse(plaintext.toString('utf8'))
+          delete parent[FIELD_PREFIX + name]
+        } catch (e) {
+          return eachFn(new EncryptionError(docKey, `Could not decrypt field ${path} of document ${docKey}`, e))
+        }
+        return eachFn()
+      })
+    }, err => fn(err, value))
+  }
+
+  _key (kid, docKey, fn) {
+    this.getKey(kid, (err, secret) => {
+      if (err) {
+        return fn(new EncryptionError(docKey, `Could not get encryption key ${kid}`, err))
+      }
+
+      if (!Buffer.isBuffer(secret) || secret.length !== KEY_LENGTH) {
+        return fn(new EncryptionError(docKey, `Encryption key ${kid} must be a ${KEY_LENGTH} byte Buffer`))
+      }
+      return fn(null, secret)
+    })
+  }
+}
+
+// binds the ciphertext to the document key and the path so it cannot be moved to another document or field
+function additionalData (key, path) {
+  return Buffer.from(JSON.stringify([key, path]))
+}
+
+function resolve (value, path) {
+  const parts = path.split('.')
+  const name = parts.pop()
+  let parent = value
+  for (const part of parts) {
+    parent = isPlainObject(parent) ? parent[part] : undefined
+  }
+  return { parent: isPlainObject(parent) ? parent : undefined, name }
+}
+
+function isPlainObject (value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value)
+}
+
+module.exports = FieldEncryption
@@ -0,0 +1,443 @@
+const { errors } = require('couchbase')
+
+/**
+ * Enum for the kinds of errors returned by the driver
+ * @readonly
+ * @enum {string}
+ */
+const ERROR_KINDS = {
+  /** The document does not exist */
+  KEY_NOT_FOUND: 'keyNotFound',
+  /** The document already exists */
+  KEY_EXISTS: 'keyExists',
+  /** The document was changed since the CAS value was obtained */
+  CAS_MISMATCH: 'casMismatch',
+  /** The document is locked */
+  LOCKED: 'locked',
+  /** Temporary failure, the operation can be retried */
+  TEMPORARY: 'temporary',
+  /** The operation timed out */
+  TIMEOUT: 'timeout',
+  /** The document value is too large */
+  VALUE_TOO_LARGE: 'valueTooLarge',
+  /** Network failure or the cluster is unavailable */
+  NETWORK: 'network',
+  /** Authentication failure */
+  AUTHENTICATION: 'authentication',
+  /** The document failed schema validation */
+  VALIDATION: 'validation',
+  /** Encrypting or decrypting document fields failed */
+  ENCRYPTION: 'encryption',
+  /** The cluster does not support the required features */
+  UNSUPPORTED: 'unsupported',
+  /** The lock was not acquired within the wait time */
+  LOCK_TIMEOUT: 'lockTimeout',
+  /** The lock is not held by the owner releasing or extending it */
+  LOCK_NOT_OWNED: 'lockNotOwned',
+  /** The operation was rejected because too many operations are waiting */
+  QUEUE_FULL: 'queueFull',
+  /** Any other Couchbase error */
+  UNKNOWN: 'unknown'
+}
+
+const TEMPORARY_CODES = [
+  errors.temporaryError,
+  errors.clientTemporaryError,
+  errors.genericTmpError,
+  errors.serverBusy,
+  errors.clientBusy
+]
+
+const NETWORK_CODES = [
+  errors.networkError,
+  errors.unknownHost,
+  errors.connectError,
+  errors.notEnoughNodes,
+  errors.noMatchingServerForKey,
+  errors.connectionRefused,
+  errors.socketShutdown,
+  errors.connectionReset,
+  errors.cannotGetPort,
+  errors.netUnreachable
+]
+
+const NETWORK_SYSTEM_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EPIPE'
+]
+
+const AUTHENTICATION_CODES = [
+  errors.authError,
+  errors.invalidUsername,
+  errors.saslmechUnavailable
+]
+
+/**
+ * Base class for all Couchbase errors returned by the driver. Wraps the original error, which is available as
+ * <code>cause</code>. The original <code>message</code> and <code>code</code> are kept. <code>kind</code> is one of
+ * <code>ERROR_KINDS</code> and <code>key</code> is the document key of the operation, if any.
+ * @extends Error
+ */
+class CouchbaseError extends Error {
+  /**
+   * @param {Error} err - the original error
+   * @param {String} kind - one of <code>ERROR_KINDS</code>
+   * @param {String} key - the document key of the operation, if any
+   */
+  constructor (err, kind = ERROR_KINDS.UNKNOWN, key) {
+    super(err.message)
+    this.name = this.constructor.name
+    this.kind = kind
+    this.code = err.code
+    this.cause = err
+    if (key !== undefined) {
+      this.key = key
+    }
+  }
+}
+
+/**
+ * The document does not exist.
+ * @extends CouchbaseError
+ */
+class KeyNotFoundError extends CouchbaseError {
+  constructor (err, key) {
+    super(err, ERROR_KINDS.KEY_NOT_FOUND, key)
+  }
+}
+
+/**
+ * The document already exists.
+ * @extends CouchbaseError
+ */
+class KeyExistsError extends CouchbaseError {
+  constructor (err, key) {
+    super(err, ERROR_KINDS.KEY_EXISTS, key)
+  }
+}
+
+/**
+ * The document was changed since the CAS value was obtained.
+ * @extends CouchbaseError
+ */
+class CasMismatchError extends CouchbaseError {
+  constructor (err, key) {
+    super(err, ERROR_KINDS.CAS_MISMATCH, key)
+  }
+}
+
+/**
+ * Temporary failure, the operation can be retried.
+ * @extends CouchbaseError
+ */
+class TemporaryError extends CouchbaseError {
+  constructor (err, key, kind = ERROR_KINDS.TEMPORARY) {
+    super(err, kind, key)
+  }
+}
+
+/**
+ * The document is locked. Couchbase reports this as a temporary failure.
+ * @extends TemporaryError
+ */
+class LockedError extends TemporaryError {
+  constructor (err, key) {
+    super(err, key, ERROR_KINDS.LOCKED)
+  }
+}
+
+/**
+ * The operation timed out.
+ * @extends CouchbaseError
+ */
+class TimeoutError extends CouchbaseError {
+  constructor (err, key) {
+    super(err, ERROR_KINDS.TIMEOUT, key)
+  }
+}
+
+/**
+ * The document value is too large.
+ * @extends CouchbaseError
+ */
+class ValueTooLargeError extends CouchbaseError {
+  constructor (err, key) {
+    super(err, ERROR_KINDS.VALUE_TOO_LARGE, key)
+  }
+}
+
+/**
+ * Network failure or the cluster is unavailable.
+ * @extends CouchbaseError
+ */
+class NetworkError extends CouchbaseError {
+  constructor (err, key) {
+    super(err, ERROR_KINDS.NETWORK, key)
+  }
+}
+
+/**
+ * Authentication failure.
+ * @extends CouchbaseError
+ */
+class AuthenticationError extends CouchbaseError {
+  constructor (err, key) {
+    super(err, ERROR_KINDS.AUTHENTICATION, key)
+  }
+}
+
+/**
+ * The document failed schema validation. Not a Couchbase error, the document was not written. <code>errors</code> is
+ * an array of the failures as <code>{ path, message, keyword, pattern }</code> where <code>path</code> is the path of
+ * the failing property within the document and <code>pattern</code> is the key pattern of the schema.
+ * @extends Error
+ */
+class ValidationError extends Error {
+  /**
+   * @param {String} key - the document key
+   * @param {Array} errors - the validation failures
+   */
+  constructor (key, errors) {
+    const paths = errors.map(e => e.path || '(root)')
+    super(`Document ${key} failed schema validation: ${paths.join(', ')}`)
+    this.name = this.constructor.name
+    this.kind = ERROR_KINDS.VALIDATION
+    this.key = key
+    this.errors = errors
+  }
+}
+
+/**
+ * Encrypting or decrypting the fields of a document failed, ie the encryption key is not available or the encrypted
+ * value was tampered with. Not a Couchbase error. The original error, if any, is available as <code>cause</code>.
+ * @extends Error
+ */
+class EncryptionError extends Error {
+  /**
+   * @param {String} key - the document key
+   * @param {String} message - the error message
+   * @param {Error} cause - the original error, if any
+   */
+  constructor (key, message, cause) {
+    super(message)
+    this.name = this.constructor.name
+    this.kind = ERROR_KINDS.ENCRYPTION
+    this.key = key
+    if (cause) {
+      this.cause = cause
+    }
+  }
+}
+
+/**
+ * The cluster does not support the required features. Not a Couchbase error, thrown by <code>requires</code> before
+ * the operations needing the features are attempted. <code>features</code> is an array of the unsupported features as
+ * <code>{ name, version }</code> where <code>version</code> is the minimum server version supporting the feature, and
+ * <code>version</code> is the lowest server version of the cluster.
+ * @extends Error
+ */
+class UnsupportedError extends Error {
+  /**
+   * @param {String} version - the lowest server version of the cluster
+   * @param {Array} features - the unsupported features
+   */
+  constructor (version, features) {
+    const required = features.map(f => `${f.name} (requires ${f.version})`)
+    super(`Couchbase server ${version} does not support ${required.join(', ')}`)
+    this.name = this.constructor.name
+    this.kind = ERROR_KINDS.UNSUPPORTED
+    this.version = version
+    this.features = features
+  }
+}
+
+/**
+ * The lock was not acquired within the wait time of <code>lock</code>. Not a Couchbase error.
+ * @extends Error
+ */
+class LockTimeoutError extends Error {
+  /**
+   * @param {String} key - the key of the lock document
+   * @param {Number} wait - the time waited for the lock, in milliseconds
+   */
+  constructor (key, wait) {
+    super(`Lock ${key} was not acquired within ${wait} ms`)
+    this.name = this.constructor.name
+    this.kind = ERROR_KINDS.LOCK_TIMEOUT
+    this.key = key
+    this.wait = wait
+  }
+}
+
+/**
+ * The lock is not held by the owner releasing or extending it, ie the lease expired and the lock was acquired by
+ * another owner. Not a Couchbase error.
+ * @extends Error
+ */
+class LockNotOwnedError extends Error {
+  /**
+   * @param {String} key - the key of the lock document
+   * @param {String} owner - the current owner token, if any
+   */
+  constructor (key, owner) {
+    super(owner ? `Lock ${key} is held by another owner` : `Lock ${key} is not held`)
+    this.name = this.constructor.name
+    this.kind = ERROR_KINDS.LOCK_NOT_OWNED
+    this.key = key
+  }
+}
+
+/**
+ * The operation was rejected without being sent to the cluster because the queue of the concurrency limiter is full.
+ * Not a Couchbase error.
+ * @extends Error
+ */
+class QueueFullError extends Error {
+  /**
+   * @param {String} operation - the operation name
+   * @param {Number} limit - the queue limit
+   */
+  constructor (operation, limit) {
+    super(`Operation ${operation} rejected, ${limit} operations already waiting`)
+    this.name = this.constructor.name
+    this.kind = ERROR_KINDS.QUEUE_FULL
+    this.operation = operation
+    this.limit = limit
+  }
+}
+
+const ERROR_CLASSES = {
+  [ERROR_KINDS.KEY_NOT_FOUND]: KeyNotFoundError,
+  [ERROR_KINDS.KEY_EXISTS]: KeyExistsError,
+  [ERROR_KINDS.CAS_MISMATCH]: CasMismatchError,
+  [ERROR_KINDS.LOCKED]: LockedError,
+  [ERROR_KINDS.TEMPORARY]: TemporaryError,
+  [ERROR_KINDS.TIMEOUT]: TimeoutError,
+  [ERROR_KINDS.VALUE_TOO_LARGE]: ValueTooLargeError,
+  [ERROR_KINDS.NETWORK]: NetworkError,
+  [ERROR_KINDS.AUTHENTICATION]: AuthenticationError,
+  [ERROR_KINDS.UNKNOWN]: CouchbaseError
+}
+
+function isDriverError (err) {
+  return err instanceof CouchbaseError || err instanceof ValidationError || err instanceof EncryptionError ||
+    err instanceof UnsupportedError || err instanceof LockTimeoutError || err instanceof LockNotOwnedError ||
+    err instanceof QueueFullError
+}
+
+function messageIncludes (err, str) {
+  return typeof err.message === 'string' && err.message.toLowerCase().indexOf(str) >= 0
+}
+
+/**
+ * Determines the kind of error. Error codes are ambiguous for some errors, so <code>context</code> of the operation
+ * can be used to narrow them down.
+ * @param {Error} err - the error to check
+ * @param {Object} context - the context of the operation
+ * @param {String} context.operation - the name of the operation, ie <code>insert</code>
+ * @param {Object} context.cas - the CAS value used in the operation, if any
+ * @returns {String|undefined} one of <code>ERROR_KINDS</code> or <code>undefined</code> if not a Couchbase error
+ * @private
+ */
+function classify (err, context = {}) {
+  if (!err || typeof err !== 'object') {
+    return
+  }
+
+  if (isDriverError(err)) {
+    return err.kind
+  }
+
+  const code = err.code
+  if (code === errors.keyNotFound || messageIncludes(err, 'key not found') ||
+    messageIncludes(err, 'key does not exist')) {
+    return ERROR_KINDS.KEY_NOT_FOUND
+  }
+
+  if (code === errors.keyAlreadyExists) {
+    // the libcouchbase message mentions CAS for both kinds, so only the mismatch messages of the mock are trusted
+    if (messageIncludes(err, 'cas mismatch') || messageIncludes(err, 'cas does not match') ||
+      (context.cas && context.operation !== 'insert')) {
+      return ERROR_KINDS.CAS_MISMATCH
+    }
+    return ERROR_KINDS.KEY_EXISTS
+  }
+
+  if (TEMPORARY_CODES.indexOf(code) >= 0 || messageIncludes(err, 'temporary failure')) {
+    if (messageIncludes(err, 'locked') || context.operation === 'getAndLock') {
+      return ERROR_KINDS.LOCKED
+    }
+    return ERROR_KINDS.TEMPORARY
+  }
+
+  if (code === errors.timedOut || code === 'ETIMEDOUT' || code === 'ESOCKETTIMEDOUT') {
+    return ERROR_KINDS.TIMEOUT
+  }
+
+  if (code === errors.objectTooBig) {
+    return ERROR_KINDS.VALUE_TOO_LARGE
+  }
+
+  if (NETWORK_CODES.indexOf(code) >= 0 || NETWORK_SYSTEM_CODES.indexOf(code) >= 0) {
+    return ERROR_KINDS.NETWORK
+  }
+
+  if (AUTHENTICATION_CODES.indexOf(code) >= 0 || err.statusCode === 401) {
+    return ERROR_KINDS.AUTHENTICATION
+  }
+
+  if (typeof code === 'number') {
+    return ERROR_KINDS.UNKNOWN
+  }
+}
+
+/**
+ * Wraps the error in the appropriate <code>CouchbaseError</code> class. Errors that are not Couchbase errors
+ * and errors that are already wrapped are returned as is.
+ * @param {Error} err - the error to wrap
+ * @param {Object} context - the context of the operation. See <code>classify</code>.
+ * @param {String} context.key - the document key of the operation
+ * @returns {Error}
+ * @private
+ */
+function wrap (err, context = {}) {
+  if (!err || typeof err !== 'object' || isDriverError(err)) {
+    return err
+  }
+
+  const kind = classify(err, context)
+  if (!kind) {
+    return err
+  }
+
+  const ErrorClass = ERROR_CLASSES[kind]
+  return kind === ERROR_KINDS.UNKNOWN
+    ? new ErrorClass(err, kind, context.key)
+    : new ErrorClass(err, context.key)
+}
+
+module.exports = {
+  ERROR_KINDS,
+  CouchbaseError,
+  KeyNotFoundError,
+  KeyExistsError,
+  CasMismatchError,
+  TemporaryError,
+  LockedError,
+  TimeoutError,
+  ValueTooLargeError,
+  NetworkError,
+  AuthenticationError,
+  ValidationError,
+  EncryptionError,
+  UnsupportedError,
+  LockTimeoutError,
+  LockNotOwnedError,
+  QueueFullError,
+  classify,
+  wrap
+}
@@ -0,0 +1,127 @@
+const { QueueFullError } = require('./errors')
+
+const DEFAULT_POOL = 'default'
+
+class ConcurrencyLimiter {
+  /**
+   * @classdesc Bulkhead that limits the number of operations in flight at the same time. Operations over the limit
+   * wait in a queue and start in order as the running ones complete. Once the queue is full, operations fail with a
+   * <code>QueueFullError</code> without being sent to the cluster. Operations listed in <code>operations</code> get
+   * their own limits, the others share the default ones.
+   *
+   * @description
+   * Constructs the new limiter. Use the <code>concurrency</code> option of <code>Driver.create()</code> to enable it.
+   *
+   * @param {Object} options - Options
+   * @param {Number} options.max - The maximum number of operations in flight. Default: <code>100</code>.
+   * @param {Number} options.queue - The maximum number of operations waiting. Default: <code>1000</code>.
+   * @param {Object} options.operations - Limits by operation name, ie <code>{ get: { max: 200 } }</code>. Missing
+   *                                      limits are taken from <code>max</code> and <code>queue</code>.
+   */
+  constructor (options = {}) {
+    const base = {
+      max: options.max > 0 ? options.max : 100,
+      queue: options.queue >= 0 ? options.queue : 1000
+    }
+    const operations = options.operations || {}
+    this.pools = new Map([[DEFAULT_POOL, createPool(base, {})]])
+    Object.keys(operations).forEach(operation => {
+      this.pools.set(operation, createPool(base, operations[operation] || {}))
+    })
+  }
+
+  /**
+   * Runs the task once there is a free slot for the operation, or fails with a <code>QueueFullError</code>.
+   * @param {String} operation - the operation name
+   * @param {Function} task - function <code>(fn)</code> that performs the operation and calls <code>fn</code> when done
+   * @param {Function} fn - callback with the results of the task
+   */
+  run (operation, task, fn) {
+    const pool = this._pool(operation)
+    if (pool.active < pool.max) {
+      return start(pool, task, fn)
+    } else if (pool.waiting.length >= pool.queue) {
+      return process.nextTick(fn, new QueueFullError(operation, pool.queue))
+    }
+    pool.waiting.push({ task, fn })
+  }
+
+  /**
+   * Gets the number of operations waiting for a slot.
+   * @param {String} operation - the operation name. Default: all operations.
+   * @returns {Number} the queue depth
+   */
+  queueDepth (operation) {
+    if (operation !== undefined) {
+      return this._pool(operation).waiting.length
+    }
+
+    let depth = 0
+    this.pools.forEach(pool => {
+      depth += pool.waiting.length
+    })
+    return depth
+  }
+
+  /**
+   * Gets the limits and usage by operation, with the shared limits as <code>default</code>.
+   * @returns {Object} <code>{ active, queued, max, queue }</code> by operation
+   * @example
+   * const { active, queued } = driver.limiter.stats().default;
+   */
+  stats () {
+    const stats = {}
+    this.pools.forEach((pool, name) => {
+      stats[name] = { active: pool.active, queued: pool.waiting.length, max: pool.max, queue: pool.queue }
+    })
+    return stats
+  }
+
+  _pool (operation) {
+    return this.pools.get(operation) || this.pools.get(DEFAULT_POOL)
+  }
+}
+
+function createPool (base, options) {
+  return {
+    max: options.max > 0 ? options.max : base.max,
+    queue: options.queue >= 0 ? options.queue : base.queue,
+    active: 0,
+    waiting: []
+  }
+}
+
+function start (pool, task, fn) {
+  let done = false
+  const release = () => {
+    if (!done) {
+      done = true
+      pool.active--
+      next(pool)
+    }
+  }
+
+  pool.active++
+  try {
+    task(function () {
+      release()
+      return fn.apply(this, arguments)
+    })
+  } catch (e) {
+    release()
+    throw e
+  }
+}
+
+function next (pool) {
+  while (pool.active < pool.max && pool.waiting.length) {
+    const { task, fn } = pool.waiting.shift()
+    try {
+      start(pool, task, fn)
+    } catch (e) {
+      process.nextTick(fn, e)
+    }
+  }
+}
+
+module.exports = ConcurrencyLimiter
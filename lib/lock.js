@@ -0,0 +1,246 @@
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const pCall = require('promisify-call')
+const { ERROR_KINDS, LockTimeoutError, LockNotOwnedError } = require('./errors')
+
+// the document changed or was removed since it was read
+const CONTENTION_KINDS = [ERROR_KINDS.CAS_MISMATCH, ERROR_KINDS.KEY_EXISTS, ERROR_KINDS.KEY_NOT_FOUND]
+// the time between the attempts of the owner to update the lock document while it keeps changing
+const CONTENTION_RETRY_INTERVAL = 10
+// the minimum time a waiter stays in the queue without polling, so crashed waiters do not block the queue for long
+const MIN_WAITER_LEASE = 1000
+
+class Lock extends EventEmitter {
+  /**
+   * @classdesc Handle of a lock acquired with <code>driver.lock()</code>. The lease is renewed automatically while the
+   * lock is held unless disabled with the <code>renew</code> option. Failed renewals are retried until the lease
+   * expires. If the lock is acquired by another owner or the lease expires, a <code>lost</code> event is emitted with
+   * the error.
+   *
+   * @description
+   * Constructs the new handle. Use <code>driver.lock()</code> to acquire a lock.
+   *
+   * @param {Object} store - the operations reading and writing the lock document
+   * @param {String} key - the key of the lock document
+   * @param {String} token - the owner token
+   * @param {Number} expires - the time the lease expires, in milliseconds since the epoch
+   * @param {Object} options - the options of the lock
+   */
+  constructor (store, key, token, expires, options) {
+    super()
+    this._store = store
+    this.key = key
+    this.token = token
+    this.expires = expires
+    this.ttl = options.ttl
+    this.released = false
+    this._timer = null
+    this._stopped = false
+    if (options.renew) {
+      scheduleRenewal.call(this)
+    }
+  }
+
+  /**
+   * Releases the lock. The next waiter in line, if any, acquires it. Fails with a <code>LockNotOwnedError</code> if
+   * the lock is held by another owner.
+   * @param {Function} fn - callback
+   * @example
+   * lock.release(err => {
+   *   if (err) return console.log(err);
+   * });
+   */
+  release (fn) {
+    return pCall(this, release, ...arguments)
+  }
+
+  /**
+   * Extends the lease of the lock. Fails with a <code>LockNotOwnedError</code> if the lock is held by another owner.
+   * @param {Number} ttl - the new lease time from now, in milliseconds. Default: the <code>ttl</code> of the lock.
+   * @param {Function} fn - callback with the new expiry time in milliseconds since the epoch
+   */
+  extend (ttl, fn) {
+    return pCall(this, extend, ...arguments)
+  }
+}
+
+function release (fn) {
+  this._stopped = true
+  clearTimeout(this._timer)
+  updateOwned(this._store, this.key, (value, now) => {
+    checkOwner(this.key, this.token, value)
+    const queue = waiters(value, now)
+    return queue.length ? { owner: null, expires: 0, queue } : null
+  }, err => {
+    if (!err) {
+      this.released = true
+    }
+    return fn(err || null)
+  })
+}
+
+function extend (ttl, fn) {
+  if (ttl instanceof Function) {
+    fn = ttl
+    ttl = undefined
+  }
+
+  const lease = ttl > 0 ? ttl : this.ttl
+  updateOwned(this._store, this.key, (value, now) => {
+    checkOwner(this.key, this.token, value)
+    return Object.assign({}, value, { expires: now + lease, queue: waiters(value, now) })
+  }, (err, value) => {
+    if (err) {
+      return fn(err)
+    }
+    this.expires = value.expires
+    return fn(null, this.expires)
+  })
+}
+
+function scheduleRenewal (delay = this.ttl / 2) {
+  this._timer = setTimeout(() => {
+    extend.call(this, this.ttl, err => {
+      if (this._stopped) {
+        return
+      } else if (err && (err instanceof LockNotOwnedError || Date.now() >= this.expires)) {
+        return this.emit('lost', err)
+      } else if (err) {
+        // the lease is still held so try again before it expires
+        return scheduleRenewal.call(this, Math.min(this.ttl / 10, this.expires - Date.now()))
+      }
+      scheduleRenewal.call(this)
+    })
+  }, Math.max(1, Math.floor(delay)))
+  this._timer.unref()
+}
+
+/**
+ * Acquires the lock. Waiters register in the queue of the lock document and acquire the lock in the order they
+ * registered once it is released or the lease expires. The entry of a waiter has a short lease renewed as it polls
+ * so waiters that stopped polling drop out of the queue. Waiters whose update of the lock document conflicts with
+ * another one poll again until the wait time is over.
+ * @param {Object} store - the operations reading and writing the lock document, without hooks and operation events:
+ *                         <code>get(key, fn)</code>, <code>insert(key, value, options, fn)</code>,
+ *                         <code>upsert(key, value, options, fn)</code> and <code>remove(key, options, fn)</code>
+ * @param {String} key - the key of the lock document
+ * @param {Object} options - the options of <code>driver.lock()</code>
+ * @param {Function} fn - callback with the <code>Lock</code>
+ * @private
+ */
+function acquire (store, key, options, fn) {
+  const token = crypto.randomBytes(16).toString('hex')
+  const deadline = Date.now() + options.wait
+  const lease = Math.max(MIN_WAITER_LEASE, options.retryInterval * 10)
+  let state = null
+  const attempt = () => {
+    update(store, key, (value, now) => {
+      const queue = waiters(value, now)
+      const entry = queue.find(w => w.token === token)
+      if (isFree(value, now) && (!queue.length || queue[0].token === token)) {
+        state = 'acquired'
+        return { owner: token, expires: now + options.ttl, queue: queue.filter(w => w.token !== token) }
+      } else if (now >= deadline) {
+        state = 'timeout'
+        return entry ? Object.assign({}, value, { queue: queue.filter(w => w.token !== token) }) : undefined
+      }
+
+      state = 'waiting'
+      // renewed once half of the lease is left to not write the document on every poll
+      if (entry && (entry.until >= deadline || entry.until - now > lease / 2)) {
+        return undefined
+      }
+      const until = Math.min(deadline, now + lease)
+      const renewed = entry ? queue.map(w => w.token === token ? { token, until } : w) : queue.concat({ token, until })
+      return Object.assign({}, value, { queue: renewed })
+    }, (err, value) => {
+      if (err && !isContention(err)) {
+        return fn(err)
+      } else if (err && Date.now() >= deadline) {
+        return fn(new LockTimeoutError(key, options.wait))
+      } else if (!err && state === 'acquired') {
+        return fn(null, new Lock(store, key, token, value.expires, options))
+      } else if (!err && state === 'timeout') {
+        return fn(new LockTimeoutError(key, options.wait))
+      }
+      setTimeout(attempt, Math.min(options.retryInterval, Math.max(0, deadline - Date.now())))
+    })
+  }
+  attempt()
+}
+
+/**
+ * Reads the lock document and writes the value returned by <code>transform</code> using the <code>CAS</code> value,
+ * so the write fails if the document changed in the meantime. The transform returns <code>undefined</code> to leave
+ * the document as is and <code>null</code> to remove it.
+ * @private
+ */
+function update (store, key, transform, fn) {
+  store.get(key, (err, doc) => {
+    if (err) {
+      return fn(err)
+    }
+
+    const now = Date.now()
+    let value
+    try {
+      value = transform(doc ? doc.value : undefined, now)
+    } catch (e) {
+      return fn(e)
+    }
+
+    const done = err => fn(err || null, value)
+
+    if (value === undefined) {
+      return fn(null, doc ? doc.value : undefined)
+    } else if (value === null) {
+      return doc ? store.remove(key, { cas: doc.cas }, done) : fn(null, null)
+    }
+
+    // the document outlives the lease and the waiters so it expires even if the owner never releases it
+    const until = waiters(value, now).reduce((max, w) => Math.max(max, w.until), value.expires)
+    const options = { expiry: Math.ceil((until - now) / 1000) + 1 }
+    if (doc) {
+      return store.upsert(key, value, Object.assign(options, { cas: doc.cas }), done)
+    }
+    return store.insert(key, value, options, done)
+  })
+}
+
+/**
+ * Updates the lock document of the owner, retrying the transform while the document keeps changing, ie while waiters
+ * register in the queue. The transform fails once the lock is held by another owner.
+ * @private
+ */
+function updateOwned (store, key, transform, fn) {
+  update(store, key, transform, (err, value) => {
+    if (isContention(err)) {
+      return setTimeout(() => updateOwned(store, key, transform, fn), CONTENTION_RETRY_INTERVAL)
+    }
+    return fn(err, value)
+  })
+}
+
+function isContention (err) {
+  return Boolean(err) && CONTENTION_KINDS.indexOf(err.kind) >= 0
+}
+
+function checkOwner (key, token, value) {
+  if (!value || value.owner !== token) {
+    throw new LockNotOwnedError(key, value && value.owner)
+  }
+}
+
+function isFree (value, now) {
+  return !value || !value.owner || !(value.expires > now)
+}
+
+function waiters (value, now) {
+  const queue = value && Array.isArray(value.queue) ? value.queue : []
+  return queue.filter(w => w && w.until > now)
+}
+
+module.exports = {
+  Lock,
+  acquire
+}
@@ -0,0 +1,680 @@
+const couchbase = require('couchbase')
+const CompressionTranscoder = require('./transcoder')
+const { parsePath } = require('./paths')
+
+const { errors } = couchbase
+
+// expiry values above 30 days are absolute unix timestamps
+const MAX_RELATIVE_EXPIRY = 30 * 24 * 60 * 60
+// the server locks documents for 15 seconds by default and at most 30 seconds
+const DEFAULT_LOCK_TIME = 15
+const MAX_LOCK_TIME = 30
+
+// the messages of libcouchbase for the errors
+const MESSAGES = {
+  [errors.keyNotFound]: 'The key does not exist on the server',
+  [errors.keyAlreadyExists]: 'The key already exists in the server. If you have supplied a CAS then the key exists ' +
+    'with a CAS value different than specified',
+  [errors.temporaryError]: 'Temporary failure received from server. Try again later',
+  [errors.deltaBadVal]: 'The value requested to be incremented is not stored as a number',
+  [errors.subdocPathNotFound]: 'Sub-document path does not exist',
+  [errors.subdocPathMismatch]: 'Type of element in sub-document path conflicts with type in document',
+  [errors.subdocPathInvalid]: 'Malformed sub-document path',
+  [errors.subdocPathExists]: 'Sub-document path already exists',
+  [errors.subdocDocumentNotJson]: 'Existing document is not valid JSON',
+  [errors.subdocBadDelta]: 'Invalid delta value for sub-document counter operation',
+  [errors.subdocMultiFailure]: 'Could not execute one or more multi lookups or mutations'
+}
+
+// the CAS of locked documents returned by get
+const LOCKED_CAS = '18446744073709551615'
+
+let casCounter = 0
+
+class MemoryBucket {
+  /**
+   * @classdesc Pure JavaScript in-memory bucket for tests and local development, to be wrapped by
+   * <code>Driver.create()</code>. Supports <code>get</code>, <code>getMulti</code>, <code>getAndLock</code>,
+   * <code>unlock</code>, <code>insert</code>, <code>upsert</code>, <code>replace</code>, <code>remove</code>,
+   * <code>touch</code>, <code>counter</code> and basic <code>lookupIn</code> and <code>mutateIn</code> operations
+   * with <code>CAS</code>, expiry and lock timeouts. Fails with the same error codes as the Couchbase SDK, so error
+   * classification, retries and <code>atomic</code> behave the same way as with a cluster. Documents are encoded with
+   * the transcoder of the bucket.
+   *
+   * @description
+   * Constructs the new bucket.
+   *
+   * @param {Object} options - Options
+   * @param {String} options.name - The name of the bucket. Default: <code>default</code>.
+   * @param {String} options.version - The server version reported to <code>getServerVersion</code>.
+   *                                   Default: <code>5.5.0</code>.
+   * @example
+   * const driver = Driver.create(new Driver.MemoryBucket());
+   */
+  constructor (options = {}) {
+    this._name = options.name || 'default'
+    this._version = options.version || '5.5.0'
+    this._items = new Map()
+    this._clockOffset = 0
+    this.connected = true
+    const transcoder = new CompressionTranscoder({ threshold: Infinity })
+    this._encode = transcoder.encode
+    this._decode = transcoder.decode
+  }
+
+  /**
+   * The name of the bucket
+   */
+  get name () {
+    return this._name
+  }
+
+  /**
+   * Moves the clock of the bucket forward, to expire documents and locks in tests.
+   * @param {Number} ms - the time in milliseconds
+   */
+  timeTravel (ms) {
+    this._clockOffset += ms
+  }
+
+  /**
+   * Removes all the documents.
+   */
+  flush () {
+    this._items.clear()
+  }
+
+  disconnect () {
+    this.connected = false
+  }
+
+  setTranscoder (encode, decode) {
+    this._encode = encode || this._encode
+    this._decode = decode || this._decode
+  }
+
+  get (key, options, callback) {
+    [options, callback] = optionalOptions(options, callback)
+    this._invoke(callback, () => {
+      const item = this._find(key)
+      if (!item) {
+        return [error(errors.keyNotFound)]
+      }
+      return [null, { value: this._decodeItem(item), cas: this._isLocked(item) ? new Cas(LOCKED_CAS) : item.cas }]
+    })
+  }
+
+  getMulti (keys, callback) {
+    if (!Array.isArray(keys) || !keys.length) {
+      throw new TypeError('First argument needs to be an array of non-zero length.')
+    }
+
+    let pending = keys.length
+    let errCount = 0
+    const results = {}
+    keys.forEach(key => {
+      this.get(key, (err, res) => {
+        if (err) {
+          errCount++
+          results[key] = { error: err }
+        } else {
+          results[key] = res
+        }
+        if (--pending === 0) {
+          callback(errCount, results)
+        }
+      })
+    })
+  }
+
+  getAndLock (key, options, callback) {
+    [options, callback] = optionalOptions(options, callback)
+    this._invoke(callback, () => {
+      const item = this._find(key)
+      if (!item) {
+        return [error(errors.keyNotFound)]
+      } else if (this._isLocked(item)) {
+        return [error(errors.temporaryError)]
+      }
+
+      let lockTime = options.lockTime
+      if (!(lockTime > 0) || lockTime > MAX_LOCK_TIME) {
+        lockTime = DEFAULT_LOCK_TIME
+      }
+      item.lockExpiry = this._now() + lockTime * 1000
+      item.cas = nextCas()
+      return [null, { value: this._decodeItem(item), cas: item.cas }]
+    })
+  }
+
+  unlock (key, cas, options, callback) {
+    [options, callback] = optionalOptions(options, callback)
+    this._invoke(callback, () => {
+      const item = this._find(key)
+      if (!item) {
+        return [error(errors.keyNotFound)]
+      } else if (!this._isLocked(item)) {
+        return [error(errors.temporaryError)]
+      } else if (!sameCas(item.cas, cas)) {
+        return [error(errors.keyAlreadyExists)]
+      }
+
+      item.lockExpiry = 0
+      return [null, { cas: item.cas }]
+    })
+  }
+
+  insert (key, value, options, callback) {
+    return this._store('insert', key, value, options, callback)
+  }
+
+  upsert (key, value, options, callback) {
+    return this._store('upsert', key, value, options, callback)
+  }
+
+  replace (key, value, options, callback) {
+    return this._store('replace', key, value, options, callback)
+  }
+
+  remove (key, options, callback) {
+    [options, callback] = optionalOptions(options, callback)
+    this._invoke(callback, () => {
+      const item = this._find(key)
+      const err = this._checkMutation(item, options.cas)
+      if (err) {
+        return [err]
+      }
+
+      this._items.delete(key)
+      return [null, { cas: nextCas() }]
+    })
+  }
+
+  touch (key, expiry, options, callback) {
+    [options, callback] = optionalOptions(options, callback)
+    this._invoke(callback, () => {
+      const item = this._find(key)
+      if (!item) {
+        return [error(errors.keyNotFound)]
+      } else if (this._isLocked(item)) {
+        return [error(errors.temporaryError)]
+      }
+
+      item.expiry = this._expiry(expiry)
+      return [null, { cas: item.cas }]
+    })
+  }
+
+  counter (key, delta, options, callback) {
+    [options, callback] = optionalOptions(options, callback)
+    if (typeof delta !== 'number' || delta === 0) {
+      throw new TypeError('Second argument must be a non-zero integer.')
+    }
+
+    this._invoke(callback, () => {
+      const item = this._find(key)
+      if (!item) {
+        if (options.initial === undefined) {
+          return [error(errors.keyNotFound)]
+        }
+        const created = this._write(key, Buffer.from(String(options.initial)), 0, options.expiry)
+        return [null, { value: options.initial, cas: created.cas }]
+      } else if (this._isLocked(item)) {
+        return [error(errors.temporaryError)]
+      }
+
+      const current = item.value.toString('utf8')
+      if (!/^\d+$/.test(current)) {
+        return [error(errors.deltaBadVal)]
+      }
+
+      // decrementing stops at zero like the server does
+      const value = Math.max(parseInt(current, 10) + delta, 0)
+      item.value = Buffer.from(String(value))
+      item.cas = nextCas()
+      return [null, { value, cas: item.cas }]
+    })
+  }
+
+  lookupIn (key, options) {
+    return new LookupInBuilder(this, key, options || {})
+  }
+
+  mutateIn (key, options) {
+    return new MutateInBuilder(this, key, options || {})
+  }
+
+  _store (type, key, value, options, callback) {
+    [options, callback] = optionalOptions(options, callback)
+    if (value === undefined) {
+      throw new TypeError('Second argument must not be undefined.')
+    }
+
+    const doc = this._encode(value)
+    this._invoke(callback, () => {
+      const item = this._find(key)
+      if (type === 'insert') {
+        if (item) {
+          return [error(errors.keyAlreadyExists)]
+        }
+      } else if (item || type === 'replace' || options.cas) {
+        const err = this._checkMutation(item, options.cas)
+        if (err) {
+          return [err]
+        }
+      }
+
+      const stored = this._write(key, doc.value, doc.flags, options.expiry)
+      return [null, { cas: stored.cas }]
+    })
+  }
+
+  _lookupIn (builder, callback) {
+    this._invoke(callback, () => {
+      const item = this._find(builder.key)
+      if (!item) {
+        return [error(errors.keyNotFound), new DocumentFragment(null, [])]
+      }
+
+      const doc = this._decodeItem(item)
+      const results = builder.specs.map((spec, id) => {
+        if (!isContainer(doc)) {
+          return { id, path: spec.path, error: error(errors.subdocDocumentNotJson) }
+        }
+        try {
+          return { id, path: spec.path, value: lookup(doc, spec) }
+        } catch (err) {
+          return { id, path: spec.path, error: err }
+        }
+      })
+      const failed = results.some(res => res.error)
+      return [failed ? error(errors.subdocMultiFailure) : null, new DocumentFragment(item.cas, results)]
+    })
+  }
+
+  _mutateIn (builder, callback) {
+    this._invoke(callback, () => {
+      const item = this._find(builder.key)
+      const err = this._checkMutation(item, builder.options.cas)
+      if (err) {
+        return [err, new DocumentFragment(null, [])]
+      }
+
+      // mutations are applied to a copy so a failing one does not change the document
+      const doc = clone(this._decodeItem(item))
+      if (!isContainer(doc)) {
+        return [error(errors.subdocDocumentNotJson), new DocumentFragment(null, [])]
+      }
+
+      const results = []
+      for (let id = 0; id < builder.specs.length; id++) {
+        const spec = builder.specs[id]
+        try {
+          results.push({ id, path: spec.path, value: mutate(doc, spec) })
+        } catch (specErr) {
+          return [error(errors.subdocMultiFailure), new DocumentFragment(null, [{ id, path: spec.path, error: specErr }])]
+        }
+      }
+
+      const encoded = this._encode(doc)
+      const expiry = builder.options.expiry !== undefined ? builder.options.expiry : null
+      const stored = this._write(builder.key, encoded.value, encoded.flags, expiry, item)
+      return [null, new DocumentFragment(stored.cas, results.filter(res => res.value !== undefined))]
+    })
+  }
+
+  _getNodeData (fn) {
+    setImmediate(() => fn(null, {
+      clusterName: 'memory',
+      balanced: true,
+      rebalanceStatus: 'none',
+      nodes: [{
+        hostname: '127.0.0.1:8091',
+        version: `${this._version}-0000-enterprise`,
+        status: 'healthy',
+        clusterMembership: 'active',
+        services: ['kv'],
+        uptime: String(Math.floor(process.uptime())),
+        interestingStats: { curr_items: this._items.size }
+      }]
+    }))
+  }
+
+  _invoke (callback, task) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('Callback needs to be a function.')
+    }
+
+    setImmediate(() => {
+      if (!this.connected) {
+        return callback(error(errors.networkError, 'Bucket is disconnected'))
+      }
+      const [err, res] = task()
+      callback(err || null, res)
+    })
+  }
+
+  _now () {
+    return Date.now() + this._clockOffset
+  }
+
+  _find (key) {
+    if (typeof key !== 'string' || !key) {
+      return
+    }
+
+    const item = this._items.get(key)
+    if (item && item.expiry && item.expiry <= this._now()) {
+      this._items.delete(key)
+      return
+    }
+    return item
+  }
+
+  _isLocked (item) {
+    return item.lockExpiry > this._now()
+  }
+
+  _checkMutation (item, cas) {
+    if (!item) {
+      return error(errors.keyNotFound)
+    } else if (this._isLocked(item) && !cas) {
+      return error(errors.temporaryError)
+    } else if (cas && !sameCas(item.cas, cas)) {
+      return error(errors.keyAlreadyExists)
+    }
+  }
+
+  _write (key, value, flags, expiry, existing) {
+    const item = {
+      value,
+      flags,
+      cas: nextCas(),
+      // a write without expiry clears the expiry, except for sub-document mutations
+      expiry: expiry === null && existing ? existing.expiry : this._expiry(expiry),
+      lockExpiry: 0
+    }
+    this._items.set(key, item)
+    return item
+  }
+
+  _expiry (expiry) {
+    if (!(expiry > 0)) {
+      return 0
+    }
+    return expiry > MAX_RELATIVE_EXPIRY ? expiry * 1000 : this._now() + expiry * 1000
+  }
+
+  _decodeItem (item) {
+    return this._decode({ value: item.value, flags: item.flags })
+  }
+}
+
+class Cas {
+  constructor (value) {
+    this.value = value
+  }
+
+  toString () {
+    return this.value
+  }
+
+  toJSON () {
+    return this.value
+  }
+}
+
+class LookupInBuilder {
+  constructor (bucket, key, options) {
+    this.bucket = bucket
+    this.key = key
+    this.options = options
+    this.specs = []
+  }
+
+  get (path) {
+    return this._add('get', path)
+  }
+
+  getCount (path) {
+    return this._add('getCount', path)
+  }
+
+  exists (path) {
+    return this._add('exists', path)
+  }
+
+  execute (callback) {
+    return this.bucket._lookupIn(this, callback)
+  }
+
+  _add (type, path, value, options) {
+    this.specs.push({ type, path, value, createParents: createParents(options) })
+    return this
+  }
+}
+
+class MutateInBuilder extends LookupInBuilder {
+  insert (path, value, options) {
+    return this._add('insert', path, value, options)
+  }
+
+  upsert (path, value, options) {
+    return this._add('upsert', path, value, options)
+  }
+
+  replace (path, value, options) {
+    return this._add('replace', path, value, options)
+  }
+
+  remove (path, options) {
+    return this._add('remove', path, undefined, options)
+  }
+
+  counter (path, delta, options) {
+    return this._add('counter', path, delta, options)
+  }
+
+  arrayAppend (path, value, options) {
+    return this._add('arrayAppend', path, value, options)
+  }
+
+  arrayPrepend (path, value, options) {
+    return this._add('arrayPrepend', path, value, options)
+  }
+
+  arrayAddUnique (path, value, options) {
+    return this._add('arrayAddUnique', path, value, options)
+  }
+
+  execute (callback) {
+    return this.bucket._mutateIn(this, callback)
+  }
+}
+
+class DocumentFragment {
+  constructor (cas, contents) {
+    this.cas = cas
+    this.contents = contents
+  }
+
+  contentByIndex (index) {
+    const item = this.contents.find(res => res.id === index)
+    if (!item) {
+      throw new Error('Referenced item does not exist in result.')
+    } else if (item.error) {
+      throw item.error
+    }
+    return item.value
+  }
+
+  content (path) {
+    const item = this.contents.find(res => res.path === path)
+    return this.contentByIndex(item ? item.id : -1)
+  }
+
+  exists (path) {
+    try {
+      this.content(path)
+      return true
+    } catch (e) {
+      return false
+    }
+  }
+}
+
+function lookup (doc, spec) {
+  const { parent, name } = resolve(doc, spec.path, false)
+  if (!hasChild(parent, name)) {
+    throw error(errors.subdocPathNotFound)
+  }
+
+  const value = parent[name]
+  if (spec.type === 'exists') {
+    return true
+  } else if (spec.type === 'getCount') {
+    if (!isContainer(value)) {
+      throw error(errors.subdocPathMismatch)
+    }
+    return Array.isArray(value) ? value.length : Object.keys(value).length
+  }
+  return clone(value)
+}
+
+function mutate (doc, spec) {
+  const { parent, name } = resolve(doc, spec.path, spec.createParents)
+  const exists = hasChild(parent, name)
+  switch (spec.type) {
+    case 'insert':
+      if (exists) {
+        throw error(errors.subdocPathExists)
+      }
+      setChild(parent, name, spec.value)
+      return
+    case 'upsert':
+      setChild(parent, name, spec.value)
+      return
+    case 'replace':
+    case 'remove':
+      if (!exists) {
+        throw error(errors.subdocPathNotFound)
+      }
+      if (spec.type === 'replace') {
+        parent[name] = clone(spec.value)
+      } else if (Array.isArray(parent)) {
+        parent.splice(name, 1)
+      } else {
+        delete parent[name]
+      }
+      return
+    case 'counter': {
+      if (typeof spec.value !== 'number' || spec.value === 0) {
+        throw error(errors.subdocBadDelta)
+      } else if (exists && typeof parent[name] !== 'number') {
+        throw error(errors.subdocPathMismatch)
+      }
+      const value = (exists ? parent[name] : 0) + spec.value
+      setChild(parent, name, value)
+      return value
+    }
+    default: {
+      if (!exists) {
+        if (!spec.createParents) {
+          throw error(errors.subdocPathNotFound)
+        }
+        setChild(parent, name, [])
+      }
+      const array = parent[name]
+      if (!Array.isArray(array)) {
+        throw error(errors.subdocPathMismatch)
+      }
+      if (spec.type === 'arrayAddUnique') {
+        if (isContainer(spec.value)) {
+          throw error(errors.subdocPathMismatch)
+        } else if (array.indexOf(spec.value) >= 0) {
+          throw error(errors.subdocPathExists)
+        }
+      }
+      if (spec.type === 'arrayPrepend') {
+        array.unshift(clone(spec.value))
+      } else {
+        array.push(clone(spec.value))
+      }
+    }
+  }
+}
+
+// resolves the N1QL style path, ie 'a.b[0].c', to the parent container and the name of the child
+function resolve (doc, path, create) {
+  const parts = parsePath(path)
+  if (!parts) {
+    throw error(errors.subdocPathInvalid)
+  }
+
+  const name = parts.pop()
+  let parent = doc
+  parts.forEach((part, i) => {
+    if (!hasChild(parent, part)) {
+      if (!create || !isContainer(parent) || typeof part === 'number') {
+        throw error(errors.subdocPathNotFound)
+      }
+      parent[part] = typeof parts.concat(name)[i + 1] === 'number' ? [] : {}
+    }
+    parent = parent[part]
+  })
+
+  if (!isContainer(parent) || Array.isArray(parent) !== (typeof name === 'number')) {
+    throw error(errors.subdocPathMismatch)
+  }
+  return { parent, name: Array.isArray(parent) && name < 0 ? parent.length + name : name }
+}
+
+function hasChild (parent, name) {
+  if (Array.isArray(parent)) {
+    return typeof name === 'number' && name >= 0 && name < parent.length
+  }
+  return isContainer(parent) && Object.prototype.hasOwnProperty.call(parent, name)
+}
+
+function setChild (parent, name, value) {
+  if (Array.isArray(parent) && !hasChild(parent, name)) {
+    throw error(errors.subdocPathNotFound)
+  }
+  parent[name] = clone(value)
+}
+
+function isContainer (value) {
+  return value != null && typeof value === 'object' && !Buffer.isBuffer(value)
+}
+
+function createParents (options) {
+  return options === true || !!(options && options.createParents)
+}
+
+function clone (value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value))
+}
+
+function optionalOptions (options, callback) {
+  if (options instanceof Function) {
+    return [{}, options]
+  }
+  return [options || {}, callback]
+}
+
+function nextCas () {
+  casCounter++
+  return new Cas(String(casCounter))
+}
+
+function sameCas (a, b) {
+  return a != null && b != null && String(a) === String(b)
+}
+
+function error (code, message) {
+  const err = new couchbase.Error(message || MESSAGES[code])
+  err.code = code
+  return err
+}
+
+module.exports = MemoryBucket
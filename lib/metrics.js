@@ -0,0 +1,232 @@
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const CONFLICT_KINDS = ['casMismatch', 'keyExists']
+
+const METRICS = {
+  operations: {
+    name: 'operations_total',
+    type: 'counter',
+    help: 'Total number of operations.'
+  },
+  errors: {
+    name: 'errors_total',
+    type: 'counter',
+    help: 'Total number of failed operations by error kind.'
+  },
+  misses: {
+    name: 'misses_total',
+    type: 'counter',
+    help: 'Total number of keys not found.'
+  },
+  retries: {
+    name: 'retries_total',
+    type: 'counter',
+    help: 'Total number of retries.'
+  },
+  atomicAttempts: {
+    name: 'atomic_attempts_total',
+    type: 'counter',
+    help: 'Total number of atomic operation attempts.'
+  },
+  atomicConflicts: {
+    name: 'atomic_cas_conflicts_total',
+    type: 'counter',
+    help: 'Total number of atomic operation attempts that failed due to a CAS conflict.'
+  },
+  cacheHits: {
+    name: 'cache_hits_total',
+    type: 'counter',
+    help: 'Total number of documents served from the cache.'
+  },
+  cacheMisses: {
+    name: 'cache_misses_total',
+    type: 'counter',
+    help: 'Total number of documents not found in the cache.'
+  },
+  duration: {
+    name: 'operation_duration_seconds',
+    type: 'histogram',
+    help: 'Operation duration in seconds.'
+  }
+}
+
+class MetricsCollector {
+  /**
+   * @classdesc Collects operation counters and latency histograms from the events emitted by a <code>Driver</code>
+   * and renders them in Prometheus text format.
+   *
+   * @description
+   * Constructs the new collector. Use <code>attach()</code> to start collecting from a driver, or the
+   * <code>metrics</code> option of <code>Driver.create()</code>.
+   *
+   * @param {Object} options - Options
+   * @param {String} options.prefix - The prefix of the metric names. Default: <code>couchbase_driver</code>.
+   * @param {Array} options.buckets - The upper bounds of the latency histogram buckets, in seconds.
+   *                                  Default: <code>[0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]</code>.
+   */
+  constructor (options = {}) {
+    this.prefix = options.prefix || 'couchbase_driver'
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b)
+    this.drivers = new Map()
+    this.reset()
+  }
+
+  /**
+   * Starts collecting metrics from the driver.
+   * @param {Driver} driver - the driver
+   * @returns {MetricsCollector} the collector
+   * @example
+   * const collector = new Driver.MetricsCollector().attach(driver);
+   */
+  attach (driver) {
+    if (this.drivers.has(driver)) {
+      return this
+    }
+
+    const listeners = {
+      operationSuccess: event => this._onOperation(event, 'success'),
+      operationError: event => this._onOperation(event, 'error'),
+      retry: event => this._onRetry(event),
+      atomicAttempt: event => this._inc('atomicAttempts', labels(event)),
+      cacheHit: event => this._inc('cacheHits', labels(event)),
+      cacheMiss: event => this._inc('cacheMisses', labels(event))
+    }
+
+    Object.keys(listeners).forEach(name => driver.on(name, listeners[name]))
+    this.drivers.set(driver, listeners)
+    return this
+  }
+
+  /**
+   * Stops collecting metrics from the driver.
+   * @param {Driver} driver - the driver
+   * @returns {MetricsCollector} the collector
+   */
+  detach (driver) {
+    const listeners = this.drivers.get(driver)
+    if (listeners) {
+      Object.keys(listeners).forEach(name => driver.removeListener(name, listeners[name]))
+      this.drivers.delete(driver)
+    }
+    return this
+  }
+
+  /**
+   * Clears all the collected metrics.
+   */
+  reset () {
+    this.values = {}
+    Object.keys(METRICS).forEach(metric => {
+      this.values[metric] = new Map()
+    })
+  }
+
+  /**
+   * Renders the collected metrics in Prometheus text exposition format.
+   * @returns {String} the metrics
+   * @example
+   * app.get('/metrics', (req, res) => {
+   *   res.set('Content-Type', 'text/plain; version=0.0.4');
+   *   res.send(driver.metrics.toPrometheus());
+   * });
+   */
+  toPrometheus () {
+    const lines = []
+    Object.keys(METRICS).forEach(metric => {
+      const { name, type, help } = METRICS[metric]
+      const fullName = `${this.prefix}_${name}`
+      lines.push(`# HELP ${fullName} ${help}`)
+      lines.push(`# TYPE ${fullName} ${type}`)
+
+      this.values[metric].forEach(entry => {
+        if (type !== 'histogram') {
+          lines.push(`${fullName}${formatLabels(entry.labels)} ${entry.value}`)
+          return
+        }
+
+        let cumulative = 0
+        this.buckets.forEach((le, i) => {
+          cumulative += entry.counts[i]
+          lines.push(`${fullName}_bucket${formatLabels(entry.labels, { le })} ${cumulative}`)
+        })
+        lines.push(`${fullName}_bucket${formatLabels(entry.labels, { le: '+Inf' })} ${entry.count}`)
+        lines.push(`${fullName}_sum${formatLabels(entry.labels)} ${entry.sum}`)
+        lines.push(`${fullName}_count${formatLabels(entry.labels)} ${entry.count}`)
+      })
+    })
+
+    return lines.join('\n') + '\n'
+  }
+
+  _onOperation (event, status) {
+    const base = labels(event)
+    this._inc('operations', Object.assign({ status }, base))
+    this._observe(base, event.duration / 1e3)
+
+    if (event.misses) {
+      this._inc('misses', base, event.misses)
+    }
+
+    if (status === 'error') {
+      this._inc('errors', Object.assign({ kind: (event.error && event.error.kind) || 'unknown' }, base))
+    }
+  }
+
+  _onRetry (event) {
+    const base = labels(event)
+    this._inc('retries', Object.assign({ type: event.type }, base))
+
+    const kind = event.error && event.error.kind
+    if (event.type === 'atomic' && CONFLICT_KINDS.indexOf(kind) >= 0) {
+      this._inc('atomicConflicts', base)
+    }
+  }
+
+  _inc (metric, labels, value = 1) {
+    const entry = this._entry(metric, labels, () => ({ labels, value: 0 }))
+    entry.value += value
+  }
+
+  _observe (labels, seconds) {
+    const entry = this._entry('duration', labels, () => ({
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }))
+
+    const i = this.buckets.findIndex(le => seconds <= le)
+    if (i >= 0) {
+      entry.counts[i]++
+    }
+    entry.sum += seconds
+    entry.count++
+  }
+
+  _entry (metric, labels, create) {
+    const values = this.values[metric]
+    const id = JSON.stringify(labels)
+    if (!values.has(id)) {
+      values.set(id, create())
+    }
+    return values.get(id)
+  }
+}
+
+function labels (event) {
+  return { operation: event.operation, key_prefix: event.keyPrefix }
+}
+
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatLabels (labels, extra) {
+  const all = Object.assign({}, labels, extra)
+  const pairs = Object.keys(all)
+    .sort()
+    .map(name => `${name}="${escapeLabel(all[name])}"`)
+  return `{${pairs.join(',')}}`
+}
+
+module.exports = MetricsCollector
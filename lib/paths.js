@@ -0,0 +1,83 @@
+const PATH_REGEX = /^([^.[\]]+|\[-?\d+\])(\.[^.[\]]+|\[-?\d+\])*$/
+const PART_REGEX = /([^.[\]]+)|\[(-?\d+)\]/g
+
+/**
+ * Parses the N1QL style path, ie <code>address.lines[0]</code>, into its parts. Array indexes are numbers.
+ * @param {String} path - the path
+ * @returns {Array|null} the parts, or <code>null</code> if the path is not valid
+ * @private
+ */
+function parsePath (path) {
+  if (typeof path !== 'string' || !PATH_REGEX.test(path)) {
+    return null
+  }
+
+  const parts = []
+  const re = new RegExp(PART_REGEX)
+  let match
+  while ((match = re.exec(path))) {
+    parts.push(match[1] !== undefined ? match[1] : parseInt(match[2], 10))
+  }
+  return parts
+}
+
+/**
+ * Gets the value at the path.
+ * @param {*} value - the document value
+ * @param {String} path - the path
+ * @returns {*} the value, or <code>undefined</code> if the path does not exist
+ * @private
+ */
+function getPath (value, path) {
+  const parts = parsePath(path)
+  if (!parts) {
+    throw new TypeError(`Invalid path: ${path}`)
+  }
+
+  return parts.reduce((parent, part) => {
+    if (parent == null || typeof parent !== 'object') {
+      return undefined
+    }
+    return typeof part === 'number' && part < 0 && Array.isArray(parent) ? parent[parent.length + part] : parent[part]
+  }, value)
+}
+
+/**
+ * Sets the value at the path in place, creating the missing parent objects. <code>undefined</code> removes the value.
+ * @param {Object} value - the document value
+ * @param {String} path - the path
+ * @param {*} pathValue - the value to set
+ * @private
+ */
+function setPath (value, path, pathValue) {
+  const parts = parsePath(path)
+  if (!parts) {
+    throw new TypeError(`Invalid path: ${path}`)
+  }
+
+  const name = parts.pop()
+  let parent = value
+  for (let i = 0; i < parts.length; i++) {
+    if (parent[parts[i]] == null || typeof parent[parts[i]] !== 'object') {
+      if (pathValue === undefined) {
+        return
+      }
+      parent[parts[i]] = typeof (parts[i + 1] !== undefined ? parts[i + 1] : name) === 'number' ? [] : {}
+    }
+    parent = parent[parts[i]]
+  }
+
+  if (pathValue !== undefined) {
+    parent[name] = pathValue
+  } else if (Array.isArray(parent) && typeof name === 'number') {
+    parent.splice(name, 1)
+  } else {
+    delete parent[name]
+  }
+}
+
+module.exports = {
+  parsePath,
+  getPath,
+  setPath
+}
@@ -0,0 +1,17 @@
+/**
+ * Converts a key pattern where <code>*</code> matches any characters to a regular expression.
+ * @param {String} pattern - the key pattern, ie <code>user::*</code>
+ * @returns {RegExp}
+ * @private
+ */
+function toRegExp (pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[|\\{}()[\]^$+?.]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${source}$`)
+}
+
+module.exports = {
+  toRegExp
+}
@@ -0,0 +1,147 @@
+const { Readable } = require('stream')
+
+class QueryStream extends Readable {
+  /**
+   * @classdesc Readable object mode stream of query rows. The query metadata, such as <code>metrics</code> and
+   * <code>warnings</code>, is available as <code>meta</code> and emitted in a <code>meta</code> event once all the
+   * rows have been received. The query response is paused while the buffer of the stream is full if it supports
+   * <code>pause</code> and <code>resume</code>. The SDK responses do not so rows received while the consumer is slow
+   * are buffered in the stream.
+   *
+   * @description
+   * Constructs the new stream. Use <code>driver.queryStream()</code> to create one.
+   *
+   * @param {Object} options - Options passed to <code>Readable</code>, ie <code>highWaterMark</code>
+   */
+  constructor (options = {}) {
+    super(Object.assign({}, options, { objectMode: true }))
+    this.meta = null
+    this._req = null
+    this._paused = false
+  }
+
+  /**
+   * Reads the rows from the query response emitter.
+   * @param {EventEmitter} req - the query response
+   * @private
+   */
+  _attach (req) {
+    this._req = req
+    req.on('row', row => {
+      if (!this.destroyed && !this.push(row) && typeof req.pause === 'function') {
+        this._paused = true
+        req.pause()
+      }
+    })
+    req.on('end', meta => {
+      if (this.destroyed) {
+        return
+      }
+      this.meta = meta || null
+      this.emit('meta', this.meta)
+      this.push(null)
+    })
+    req.on('error', (err, meta) => {
+      this.meta = meta || null
+      this.destroy(err)
+    })
+  }
+
+  _read () {
+    // rows are pushed as the query response emits them
+    if (this._paused) {
+      this._paused = false
+      this._req.resume()
+    }
+  }
+}
+
+// Readable#destroy was added in Node 8
+if (typeof Readable.prototype.destroy !== 'function') {
+  QueryStream.prototype.destroy = function (err) {
+    if (!this.destroyed) {
+      this.destroyed = true
+      process.nextTick(() => {
+        if (err) {
+          this.emit('error', err)
+        }
+        this.emit('close')
+      })
+    }
+    return this
+  }
+}
+
+/**
+ * Creates an async iterator of the rows of the stream. The query metadata is available as <code>meta</code> of the
+ * iterator once done.
+ * @param {QueryStream} stream - the stream
+ * @returns {AsyncIterator}
+ * @private
+ */
+function toAsyncIterator (stream) {
+  let error = null
+  let ended = false
+  let waiting = null
+  const wake = () => {
+    if (waiting) {
+      const pull = waiting
+      waiting = null
+      pull()
+    }
+  }
+
+  stream.on('readable', wake)
+  stream.on('end', () => {
+    ended = true
+    wake()
+  })
+  stream.on('error', err => {
+    error = err
+    wake()
+  })
+
+  const iterator = {
+    get meta () {
+      return stream.meta
+    },
+    next () {
+      return new Promise((resolve, reject) => {
+        const pull = () => {
+          // deliver the rows received before the error first
+          const row = ended ? null : stream.read()
+          if (row !== null) {
+            return resolve({ value: row, done: false })
+          } else if (error) {
+            const err = error
+            ended = true
+            error = null
+            return reject(err)
+          } else if (ended) {
+            return resolve({ value: undefined, done: true })
+          }
+          waiting = pull
+        }
+        pull()
+      })
+    },
+    return () {
+      ended = true
+      stream.destroy()
+      return Promise.resolve({ value: undefined, done: true })
+    }
+  }
+
+  // Symbol.asyncIterator was added in Node 10, the iterator can still be used with next()
+  if (typeof Symbol.asyncIterator === 'symbol') {
+    iterator[Symbol.asyncIterator] = function () {
+      return this
+    }
+  }
+  return iterator
+}
+
+module.exports = {
+  QueryStream,
+  toAsyncIterator
+}
@@ -0,0 +1,277 @@
+const pCall = require('promisify-call')
+const { N1qlQuery } = require('couchbase')
+
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE', 'IN', 'NOT IN']
+const UNARY_OPERATORS = ['IS NULL', 'IS NOT NULL', 'IS MISSING', 'IS NOT MISSING', 'IS VALUED', 'IS NOT VALUED']
+const DIRECTIONS = ['ASC', 'DESC']
+const CONSISTENCY = {
+  not_bounded: N1qlQuery.Consistency.NOT_BOUNDED,
+  request_plus: N1qlQuery.Consistency.REQUEST_PLUS,
+  statement_plus: N1qlQuery.Consistency.STATEMENT_PLUS
+}
+
+class QueryBuilder {
+  /**
+   * @classdesc Fluent builder of <code>SELECT</code> N1QL queries. Identifiers are quoted and all the values are bound
+   * as named parameters, so they never become part of the statement. Raw expressions can be passed using
+   * <code>QueryBuilder.raw()</code>.
+   *
+   * @description
+   * Constructs the new builder. Use <code>driver.select()</code> to create one.
+   *
+   * @param {Driver} driver - the driver to run the query with
+   * @param {Array} fields - the fields to select. Default: <code>*</code>.
+   */
+  constructor (driver, fields = []) {
+    this.driver = driver
+    this.params = {}
+    this._fields = fields.length ? fields : ['*']
+    this._keyspace = null
+    this._alias = null
+    this._keys = null
+    this._conditions = []
+    this._order = []
+    this._limit = null
+    this._offset = null
+    this._consistency = null
+  }
+
+  /**
+   * Sets the keyspace to select from. Defaults to the bucket of the driver.
+   * @param {Bucket|String} bucket - the bucket or its name
+   * @param {String} alias - the alias of the keyspace, if any
+   * @returns {QueryBuilder} the builder
+   */
+  from (bucket, alias) {
+    const name = typeof bucket === 'string' ? bucket : bucket && bucket.name
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('Keyspace must be a bucket or a non-empty bucket name')
+    }
+
+    this._keyspace = name
+    this._alias = alias || null
+    return this
+  }
+
+  /**
+   * Restricts the query to the documents with the keys. The <code>keyPrefix</code> of the driver is added to the keys.
+   * @param {String|Array} keys - the document keys
+   * @returns {QueryBuilder} the builder
+   */
+  useKeys (keys) {
+    const prefix = this.driver.keyPrefix || ''
+    this._keys = this._bind([].concat(keys).map(key => prefix + key))
+    return this
+  }
+
+  /**
+   * Adds a condition. Multiple conditions are combined with <code>AND</code>.
+   * @param {String} field - the field
+   * @param {String} op - the operator, ie <code>=</code>, <code>&lt;</code>, <code>LIKE</code>, <code>IN</code> or
+   *                      <code>IS NOT MISSING</code>. Default: <code>=</code> if only the value is passed and it is
+   *                      not an <code>IS</code> operator.
+   * @param {*} value - the value, bound as a named parameter
+   * @returns {QueryBuilder} the builder
+   * @example
+   * driver.select('name').where('type', 'user').where('age', '>=', 18);
+   */
+  where (field, op, value) {
+    let operator = typeof op === 'string' ? op.trim().replace(/\s+/g, ' ').toUpperCase() : op
+    if (arguments.length === 2 && UNARY_OPERATORS.indexOf(operator) < 0) {
+      value = op
+      operator = '='
+    }
+
+    if (UNARY_OPERATORS.indexOf(operator) >= 0) {
+      this._conditions.push(`${expression(field)} ${operator}`)
+    } else if (COMPARISON_OPERATORS.indexOf(operator) >= 0) {
+      if ((operator === 'IN' || operator === 'NOT IN') && !Array.isArray(value)) {
+        throw new TypeError(`Value of ${operator} must be an array`)
+      }
+      this._conditions.push(`${expression(field)} ${operator} ${this._bind(value)}`)
+    } else {
+      throw new TypeError(`Invalid operator ${op}`)
+    }
+    return this
+  }
+
+  /**
+   * Adds a field to sort by.
+   * @param {String} field - the field
+   * @param {String} direction - <code>ASC</code> or <code>DESC</code>. Default: <code>ASC</code>.
+   * @returns {QueryBuilder} the builder
+   */
+  orderBy (field, direction = 'ASC') {
+    const dir = typeof direction === 'string' ? direction.toUpperCase() : direction
+    if (DIRECTIONS.indexOf(dir) < 0) {
+      throw new TypeError(`Invalid sort direction ${direction}`)
+    }
+
+    this._order.push(`${expression(field)} ${dir}`)
+    return this
+  }
+
+  /**
+   * Sets the maximum number of rows.
+   * @param {Number} n - the limit
+   * @returns {QueryBuilder} the builder
+   */
+  limit (n) {
+    this._limit = this._bind(count('Limit', n))
+    return this
+  }
+
+  /**
+   * Sets the number of rows to skip.
+   * @param {Number} n - the offset
+   * @returns {QueryBuilder} the builder
+   */
+  offset (n) {
+    this._offset = this._bind(count('Offset', n))
+    return this
+  }
+
+  /**
+   * Sets the scan consistency of the query.
+   * @param {Number|String} level - a <code>N1qlQuery.Consistency</code> value, or one of <code>not_bounded</code>,
+   *                                <code>request_plus</code> and <code>statement_plus</code>
+   * @returns {QueryBuilder} the builder
+   */
+  consistency (level) {
+    const value = typeof level === 'string' ? CONSISTENCY[level.toLowerCase()] : level
+    if (!Object.keys(CONSISTENCY).some(k => CONSISTENCY[k] === value)) {
+      throw new TypeError(`Invalid consistency ${level}`)
+    }
+
+    this._consistency = value
+    return this
+  }
+
+  /**
+   * Gets the N1QL statement. The values are referenced by name and are available as <code>params</code>.
+   * @returns {String} the statement
+   */
+  toString () {
+    const keyspace = this._keyspace || this.driver.bucket.name
+    let statement = `SELECT ${this._fields.map(projection).join(', ')} FROM ${identifier(keyspace)}`
+    if (this._alias) {
+      statement += ` AS ${identifier(this._alias)}`
+    }
+    if (this._keys) {
+      statement += ` USE KEYS ${this._keys}`
+    }
+    if (this._conditions.length) {
+      statement += ` WHERE ${this._conditions.join(' AND ')}`
+    }
+    if (this._order.length) {
+      statement += ` ORDER BY ${this._order.join(', ')}`
+    }
+    if (this._limit) {
+      statement += ` LIMIT ${this._limit}`
+    }
+    if (this._offset) {
+      statement += ` OFFSET ${this._offset}`
+    }
+    return statement
+  }
+
+  /**
+   * Creates the <code>N1qlQuery</code> of the statement with the consistency set.
+   * @returns {N1qlQuery} the query
+   */
+  toN1qlQuery () {
+    const query = N1qlQuery.fromString(this.toString())
+    if (this._consistency) {
+      query.consistency(this._consistency)
+    }
+    return query
+  }
+
+  /**
+   * Runs the query with the <code>query</code> function of the driver.
+   * @param {Function} fn - callback with the rows and the query metadata
+   * @example
+   * driver.select('name').where('type', 'user').limit(10).execute((err, rows) => {
+   *   if (err) return console.log(err);
+   *   console.dir(rows);
+   * });
+   */
+  execute (fn) {
+    return pCall(this, execute, ...arguments)
+  }
+
+  /**
+   * Runs the query with <code>driver.queryStream()</code>.
+   * @param {Object} options - Options passed to the stream, ie <code>highWaterMark</code>
+   * @returns {QueryStream} the stream of rows
+   */
+  stream (options) {
+    return this.driver.queryStream(this.toN1qlQuery(), this.params, options)
+  }
+
+  /**
+   * Runs the query with <code>driver.queryIterator()</code>.
+   * @param {Object} options - Options passed to the underlying stream, ie <code>highWaterMark</code>
+   * @returns {AsyncIterator} the async iterator of rows
+   */
+  iterator (options) {
+    return this.driver.queryIterator(this.toN1qlQuery(), this.params, options)
+  }
+
+  /**
+   * Marks the expression to be used as is instead of being quoted as a field, ie <code>COUNT(*) AS total</code>.
+   * Never pass user input as a raw expression.
+   * @param {String} expr - the N1QL expression
+   * @returns {Object} the raw expression
+   */
+  static raw (expr) {
+    return new RawExpression(expr)
+  }
+
+  _bind (value) {
+    const name = `p${Object.keys(this.params).length + 1}`
+    this.params[name] = value
+    return `$${name}`
+  }
+}
+
+class RawExpression {
+  constructor (expr) {
+    this.expr = String(expr)
+  }
+}
+
+function execute (fn) {
+  this.driver.query(this.toN1qlQuery(), this.params, fn)
+}
+
+function count (name, n) {
+  if (!Number.isInteger(n) || n < 0) {
+    throw new TypeError(`${name} must be a non-negative integer`)
+  }
+  return n
+}
+
+function identifier (name) {
+  return '`' + name.replace(/`/g, '``') + '`'
+}
+
+function expression (field) {
+  if (field instanceof RawExpression) {
+    return field.expr
+  } else if (typeof field !== 'string' || !field) {
+    throw new TypeError('Field must be a non-empty string')
+  }
+  return field.split('.').map(identifier).join('.')
+}
+
+function projection (field) {
+  if (field === '*') {
+    return field
+  } else if (typeof field === 'string' && /\.\*$/.test(field)) {
+    return `${expression(field.slice(0, -2))}.*`
+  }
+  return expression(field)
+}
+
+module.exports = QueryBuilder
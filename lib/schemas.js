@@ -0,0 +1,76 @@
+const Ajv = require('ajv')
+const { toRegExp } = require('./patterns')
+
+/**
+ * Registry of JSON schemas for documents, by key pattern.
+ * @private
+ */
+class SchemaRegistry {
+  constructor (schemas = {}) {
+    this.entries = []
+    this.ajv = null
+    Object.keys(schemas).forEach(pattern => this.add(pattern, schemas[pattern]))
+  }
+
+  get size () {
+    return this.entries.length
+  }
+
+  /**
+   * Registers a schema for documents with keys matching the pattern.
+   * @param {String} pattern - key pattern where <code>*</code> matches any characters, ie <code>user::*</code>
+   * @param {Object} schema - the JSON schema
+   */
+  add (pattern, schema) {
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new TypeError('Schema key pattern must be a non-empty string')
+    }
+
+    if (!this.ajv) {
+      this.ajv = new Ajv({ allErrors: true })
+    }
+
+    this.entries.push({ pattern, regex: toRegExp(pattern), validate: this.ajv.compile(schema) })
+  }
+
+  /**
+   * Determines if any schema applies to documents with the key.
+   * @param {String} key - the document key
+   * @returns {Boolean}
+   */
+  matches (key) {
+    return typeof key === 'string' && this.entries.some(({ regex }) => regex.test(key))
+  }
+
+  /**
+   * Validates the document value against all the schemas matching the key.
+   * @param {String} key - the document key
+   * @param {*} value - the document value
+   * @returns {Array|null} the failures as <code>{ path, message, keyword, pattern }</code>, or <code>null</code> if
+   *                       the value is valid or there are no matching schemas
+   */
+  validate (key, value) {
+    const failures = []
+    this.entries.forEach(({ pattern, regex, validate }) => {
+      if (typeof key !== 'string' || !regex.test(key) || validate(value)) {
+        return
+      }
+
+      validate.errors.forEach(err => {
+        failures.push({ path: errorPath(err), message: err.message, keyword: err.keyword, pattern })
+      })
+    })
+
+    return failures.length ? failures : null
+  }
+}
+
+function errorPath (err) {
+  let path = err.dataPath || ''
+  if (err.keyword === 'required' && err.params && err.params.missingProperty) {
+    path += `.${err.params.missingProperty}`
+  }
+  return path.charAt(0) === '.' ? path.substring(1) : path
+}
+
+module.exports = SchemaRegistry
@@ -0,0 +1,90 @@
+const pCall = require('promisify-call')
+
+class Sequence {
+  /**
+   * @classdesc Generator of unique sequential IDs backed by a counter document. Blocks of IDs are reserved with a
+   * single counter increment and handed out locally, so IDs are unique across processes but not strictly ordered
+   * between them. IDs of a reserved block that are never handed out, ie when the process exits, are skipped.
+   *
+   * @description
+   * Constructs the new sequence. Use <code>driver.sequence()</code> to create one.
+   *
+   * @param {String} name - the key of the counter document
+   * @param {Object} options - Options
+   * @param {Number} options.blockSize - The number of IDs to reserve at a time.
+   * @param {Function} options.format - Function that formats the numeric ID.
+   * @param {Function} reserve - function <code>(fn)</code> that increments the counter by the block size and calls
+   *                             back with the last ID of the reserved block
+   */
+  constructor (name, options, reserve) {
+    this.name = name
+    this.blockSize = options.blockSize
+    this.format = options.format
+    this._reserve = reserve
+    this._next = 0
+    this._end = -1
+    this._waiting = []
+    this._reserving = false
+  }
+
+  /**
+   * The number of IDs left in the reserved block.
+   */
+  get remaining () {
+    return this._end - this._next + 1
+  }
+
+  /**
+   * Gets the next ID, reserving a new block if the current one is used up.
+   * @param {Function} fn - callback with the formatted ID
+   * @example
+   * sequence.next((err, id) => {
+   *   if (err) return console.log(err);
+   *   console.log(id);
+   * });
+   */
+  next (fn) {
+    return pCall(this, next, ...arguments)
+  }
+}
+
+function next (fn) {
+  this._waiting.push(fn)
+  drain.call(this)
+}
+
+function drain () {
+  while (this._waiting.length && this.remaining > 0) {
+    handOut.call(this, this._waiting.shift(), this._next++)
+  }
+
+  if (!this._waiting.length || this._reserving) {
+    return
+  }
+
+  this._reserving = true
+  this._reserve((err, last) => {
+    this._reserving = false
+    if (err) {
+      const waiting = this._waiting
+      this._waiting = []
+      return waiting.forEach(fn => process.nextTick(fn, err))
+    }
+
+    this._next = last - this.blockSize + 1
+    this._end = last
+    drain.call(this)
+  })
+}
+
+function handOut (fn, id) {
+  let value
+  try {
+    value = this.format(id)
+  } catch (e) {
+    return process.nextTick(fn, e)
+  }
+  process.nextTick(fn, null, value)
+}
+
+module.exports = Sequence
@@ -0,0 +1,127 @@
+const zlib = require('zlib')
+
+// the flags of the Couchbase SDK default transcoder
+const FLAGS = {
+  NF_JSON: 0x00,
+  NF_RAW: 0x02,
+  NF_UTF8: 0x04,
+  NF_MASK: 0xFF,
+  CF_PRIVATE: 0x01 << 24,
+  CF_JSON: 0x02 << 24,
+  CF_RAW: 0x03 << 24,
+  CF_UTF8: 0x04 << 24,
+  CF_MASK: 0xFF << 24,
+  // our own marker of gzipped values in the otherwise unused bits
+  GZIP: 0x01 << 16
+}
+
+class CompressionTranscoder {
+  /**
+   * @classdesc Transcoder that gzips the encoded values above a size threshold. Compressed documents are marked as
+   * private format with a compression flag, while smaller documents are stored with the flags of the default
+   * transcoder, so they can still be read by other clients. Documents without the compression flag are decoded the
+   * same way as the default transcoder does.
+   *
+   * @description
+   * Constructs the new transcoder. Use the <code>compression</code> option of <code>Driver.create()</code> to set it
+   * on the bucket, or pass <code>encode</code> and <code>decode</code> to <code>Bucket.setTranscoder</code>.
+   *
+   * @param {Object} options - Options
+   * @param {Number} options.threshold - The minimum size of the encoded value in bytes to compress it.
+   *                                     Default: <code>16384</code>.
+   * @param {Number} options.level - The <code>zlib</code> compression level. Default: <code>zlib</code> default.
+   */
+  constructor (options = {}) {
+    this.threshold = typeof options.threshold === 'number' ? options.threshold : 16384
+    this.level = options.level
+    this.encode = this.encode.bind(this)
+    this.decode = this.decode.bind(this)
+  }
+
+  /**
+   * Encodes the value to store.
+   * @param {*} value - the document value
+   * @returns {Object} the encoded <code>{ value, flags }</code>
+   */
+  encode (value) {
+    const doc = encodeDefault(value)
+    if (doc.value.length < this.threshold) {
+      return doc
+    }
+
+    const compressed = zlib.gzipSync(doc.value, this.level !== undefined ? { level: this.level } : {})
+    if (compressed.length >= doc.value.length) {
+      return doc
+    }
+
+    return {
+      value: compressed,
+      flags: FLAGS.CF_PRIVATE | FLAGS.GZIP | (doc.flags & FLAGS.NF_MASK)
+    }
+  }
+
+  /**
+   * Decodes the stored value.
+   * @param {Object} doc - the stored <code>{ value, flags }</code>
+   * @returns {*} the document value
+   */
+  decode (doc) {
+    if (isCompressed(doc.flags)) {
+      return decodeDefault({
+        value: zlib.gunzipSync(doc.value),
+        flags: doc.flags & FLAGS.NF_MASK
+      })
+    }
+    return decodeDefault(doc)
+  }
+
+  /**
+   * Determines if the stored document flags mark a compressed value.
+   * @param {Number} flags - the document flags
+   * @returns {Boolean}
+   */
+  static isCompressed (flags) {
+    return isCompressed(flags)
+  }
+}
+
+function isCompressed (flags) {
+  return (flags & FLAGS.CF_MASK) === FLAGS.CF_PRIVATE && (flags & FLAGS.GZIP) !== 0
+}
+
+function encodeDefault (value) {
+  if (typeof value === 'string') {
+    return { value: Buffer.from(value, 'utf8'), flags: FLAGS.CF_UTF8 | FLAGS.NF_UTF8 }
+  } else if (Buffer.isBuffer(value)) {
+    return { value, flags: FLAGS.CF_RAW | FLAGS.NF_RAW }
+  }
+  return { value: Buffer.from(JSON.stringify(value), 'utf8'), flags: FLAGS.CF_JSON | FLAGS.NF_JSON }
+}
+
+function decodeDefault (doc) {
+  let format = doc.flags & FLAGS.NF_MASK
+  const cfFormat = doc.flags & FLAGS.CF_MASK
+  if (cfFormat === FLAGS.CF_JSON) {
+    format = FLAGS.NF_JSON
+  } else if (cfFormat === FLAGS.CF_RAW) {
+    format = FLAGS.NF_RAW
+  } else if (cfFormat === FLAGS.CF_UTF8) {
+    format = FLAGS.NF_UTF8
+  } else if (cfFormat !== 0 && cfFormat !== FLAGS.CF_PRIVATE) {
+    // unknown format is returned as is
+    format = FLAGS.NF_RAW
+  }
+
+  if (format === FLAGS.NF_UTF8) {
+    return doc.value.toString('utf8')
+  } else if (format === FLAGS.NF_JSON) {
+    try {
+      return JSON.parse(doc.value.toString('utf8'))
+    } catch (e) {
+      // fall back to raw like the default transcoder
+    }
+  }
+  return Buffer.from(doc.value)
+}
+
+module.exports = CompressionTranscoder
@@ -0,0 +1,45 @@
+import test from 'ava'
+import DocumentCache from '../lib/cache'
+
+test('should drop the least recently used documents', t => {
+  const cache = new DocumentCache({ max: 2 })
+
+  cache.set('a', { value: 1 })
+  cache.set('b', { value: 2 })
+  t.deepEqual(cache.get('a'), { value: 1 })
+  cache.set('c', { value: 3 })
+
+  t.is(cache.size, 2)
+  t.deepEqual(cache.get('a'), { value: 1 })
+  t.is(cache.get('b'), undefined)
+  t.deepEqual(cache.get('c'), { value: 3 })
+})
+
+test.cb('should expire documents using the TTL of the longest matching prefix', t => {
+  const cache = new DocumentCache({ ttl: 1000, prefixTtl: { 'user::': 10, 'user::admin::': 1000, 'session::': 0 } })
+
+  t.is(cache.ttlFor('config::1'), 1000)
+  t.is(cache.ttlFor('user::1'), 10)
+  t.is(cache.ttlFor('user::admin::1'), 1000)
+  t.false(cache.isCacheable('session::1'))
+
+  cache.set('config::1', { value: 1 })
+  cache.set('user::1', { value: 2 })
+  cache.set('user::admin::1', { value: 3 })
+  cache.set('session::1', { value: 4 })
+  cache.set('config::2', { value: 5 }, 10)
+  t.is(cache.get('session::1'), undefined)
+
+  setTimeout(() => {
+    t.deepEqual(cache.get('config::1'), { value: 1 })
+    t.is(cache.get('user::1'), undefined)
+    t.deepEqual(cache.get('user::admin::1'), { value: 3 })
+    t.is(cache.get('config::2'), undefined)
+
+    cache.delete('config::1')
+    t.is(cache.get('config::1'), undefined)
+    cache.clear()
+    t.is(cache.size, 0)
+    t.end()
+  }, 30)
+})
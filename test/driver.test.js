@@ -1,5 +1,8 @@
 import * as couchbase from 'couchbase'
 import asl from 'async'
+import EventEmitter from 'events'
+import http from 'http'
+import url from 'url'
 import test from 'ava'
 import _ from 'lodash'
 import Driver from '../'
@@ -174,6 +177,279 @@ test.cb('should get all of documents using the custom get', t => {
   })
 })
 
+test.cb('should get documents keyed by key using getMap', t => {
+  const keys = ['driver_test_mock_3', 'driver_test_mock_123', 'driver_test_mock_1']
+
+  driver.getMap(keys, (err, res) => {
+    t.falsy(err)
+
+    t.true(res instanceof Map)
+    t.deepEqual(Array.from(res.keys()), keys)
+    t.deepEqual(res.get('driver_test_mock_3').value, mockData[2].value)
+    t.truthy(res.get('driver_test_mock_3').cas)
+    t.deepEqual(res.get('driver_test_mock_123'), { missing: true })
+    t.deepEqual(res.get('driver_test_mock_1').value, mockData[0].value)
+
+    t.end()
+  })
+})
+
+test('promised: should get documents keyed by key using getMap and not get misses', async t => {
+  const keys = ['driver_test_mock_123', 'driver_test_mock_2']
+  const res = await driver.getMap(keys, { missing: false })
+
+  t.deepEqual(Array.from(res.keys()), ['driver_test_mock_2'])
+  t.deepEqual(res.get('driver_test_mock_2').value, mockData[1].value)
+})
+
+test.cb('should get an array of documents in chunks using the custom get', t => {
+  const keys = ['driver_test_mock_1', 'driver_test_mock_2', 'driver_test_mock_123', 'driver_test_mock_3']
+
+  driver.get(keys, { getChunkSize: 1, getConcurrency: 2 }, (errors, results, misses) => {
+    t.falsy(errors)
+    t.deepEqual(misses, ['driver_test_mock_123'])
+    t.deepEqual(_.map(results, 'value'), _.map(mockData, 'value'))
+    t.end()
+  })
+})
+
+test('promised: should fetch the chunks with the default concurrency below 1', async t => {
+  const keys = ['driver_test_mock_1', 'driver_test_mock_2', 'driver_test_mock_3']
+  const d = Driver.create(bucket, { getConcurrency: 0 })
+
+  t.deepEqual(_.map(await d.get(keys, { getChunkSize: 1 }), 'value'), _.map(mockData, 'value'))
+  t.deepEqual(_.map(await driver.get(keys, { getChunkSize: 2, getConcurrency: -1 }), 'value'), _.map(mockData, 'value'))
+})
+
+test.cb('should retry chunks with temporary errors in the custom get', t => {
+  const tempError = new Error('Temporary failure')
+  tempError.code = errors.temporaryError
+
+  let calls = 0
+  const requested = []
+  const fakeBucket = {
+    getMulti (keys, fn) {
+      calls++
+      requested.push(keys)
+      const res = {}
+      keys.forEach(k => {
+        res[k] = calls === 1 && k === 'b' ? { error: tempError } : { value: { k }, cas: {} }
+      })
+      process.nextTick(() => fn(null, res))
+    }
+  }
+
+  const d = new Driver(fakeBucket, { retryTemporaryErrors: true, tempRetryInterval: 1, getChunkSize: 2 })
+  d.get(['a', 'b', 'c'], (errors, results, misses) => {
+    t.falsy(errors)
+    t.is(calls, 3)
+    t.deepEqual(requested, [['a', 'b'], ['c'], ['b']])
+    t.deepEqual(misses, [])
+    t.deepEqual(_.map(results, 'value'), [{ k: 'a' }, { k: 'b' }, { k: 'c' }])
+    t.end()
+  })
+})
+
+test('promised: should retry temporary errors in get, remove and bucket functions', async t => {
+  const tempError = new Error('Temporary failure')
+  tempError.code = errors.temporaryError
+
+  const calls = {}
+  const failOnce = (name, res, fn) => {
+    calls[name] = (calls[name] || 0) + 1
+    process.nextTick(() => calls[name] === 1 ? fn(tempError) : fn(null, res))
+  }
+
+  const fakeBucket = {
+    get (key, options, fn) {
+      failOnce('get', { value: { a: 1 }, cas: {} }, fn)
+    },
+    remove (key, options, fn) {
+      failOnce('remove', { cas: {} }, fn)
+    },
+    counter (key, delta, options, fn) {
+      if (options instanceof Function) {
+        fn = options
+      }
+      failOnce('counter', { value: 2, cas: {} }, fn)
+    },
+    touch (key, expiry, options, fn) {
+      if (options instanceof Function) {
+        fn = options
+      }
+      failOnce('touch', { cas: {} }, fn)
+    }
+  }
+
+  const d = new Driver(fakeBucket, { retryTemporaryErrors: true, tempRetryInterval: 1 })
+
+  const res = await d.get('a')
+  t.deepEqual(res.value, { a: 1 })
+  await d.remove('a')
+  const counter = await d.counter('a', 1)
+  t.is(counter.value, 2)
+  await new Promise((resolve, reject) => d.touch('a', 10, err => err ? reject(err) : resolve()))
+
+  t.deepEqual(calls, { get: 2, remove: 2, counter: 2, touch: 2 })
+
+  calls.counter = 0
+  const noRetry = new Driver(fakeBucket)
+  const err = await t.throwsAsync(noRetry.counter('b', 1))
+  t.true(err instanceof Driver.errors.TemporaryError)
+})
+
+test('promised: should use custom backoff when retrying temporary errors', async t => {
+  const tempError = new Error('Temporary failure')
+  tempError.code = errors.temporaryError
+
+  let calls = 0
+  const fakeBucket = {
+    upsert (key, value, options, fn) {
+      calls++
+      process.nextTick(() => calls < 3 ? fn(tempError) : fn(null, { cas: {} }))
+    }
+  }
+
+  const attempts = []
+  const d = new Driver(fakeBucket, {
+    retryTemporaryErrors: true,
+    tempRetryBackoff: Driver.BACKOFF.EXPONENTIAL
+  })
+  const res = await d.upsert('a', { a: 1 }, {
+    tempRetryBackoff: (attempt, err) => {
+      attempts.push(attempt)
+      t.is(err.cause, tempError)
+      return 1
+    }
+  })
+
+  t.truthy(res.cas)
+  t.is(calls, 3)
+  t.deepEqual(attempts, [1, 2])
+})
+
+test('promised: should use exponential backoff when retrying temporary errors', async t => {
+  const tempError = new Error('Temporary failure')
+  tempError.code = errors.temporaryError
+
+  let calls = 0
+  const fakeBucket = {
+    upsert (key, value, options, fn) {
+      calls++
+      process.nextTick(() => fn(tempError))
+    }
+  }
+
+  const d = new Driver(fakeBucket, {
+    retryTemporaryErrors: true,
+    tempRetryTimes: 4,
+    tempRetryInterval: 2,
+    tempRetryMaxInterval: 5,
+    tempRetryBackoff: Driver.BACKOFF.EXPONENTIAL
+  })
+  const retries = []
+  d.on('retry', e => retries.push([e.attempt, e.delay]))
+
+  // the delay is random between 0 and the capped exponential interval, so use the top of the range
+  const random = Math.random
+  Math.random = () => 0.999
+  try {
+    const err = await t.throwsAsync(d.upsert('a', { a: 1 }))
+    t.is(err.cause, tempError)
+  } finally {
+    Math.random = random
+  }
+  t.is(calls, 4)
+  t.deepEqual(retries, [[1, 1], [2, 3], [3, 4]])
+})
+
+test('promised: atomic should use the temporary error options of the call', async t => {
+  const bucket = new Driver.MemoryBucket()
+  const getAndLock = bucket.getAndLock
+  let calls = 0
+  bucket.getAndLock = function (key, options, fn) {
+    if (++calls < 3) {
+      const tempError = new couchbase.Error('Temporary failure')
+      tempError.code = errors.temporaryError
+      return setImmediate(() => fn(tempError))
+    }
+    return getAndLock.apply(this, arguments)
+  }
+  const d = Driver.create(bucket)
+  const attempts = []
+
+  const res = await d.atomic('a', () => ({ value: { a: 1 }, action: Driver.OPERATIONS.UPSERT }), {
+    retryTemporaryErrors: true,
+    tempRetryTimes: 3,
+    tempRetryBackoff: attempt => {
+      attempts.push(attempt)
+      return 1
+    }
+  })
+  t.truthy(res.cas)
+  t.is(calls, 3)
+  t.deepEqual(attempts, [1, 2])
+})
+
+test('promised: should upsert, insert and remove multiple documents', async t => {
+  const prefix = 'driver_test_multi_' + Date.now() + '_'
+
+  const upserted = await driver.upsertMulti({
+    [prefix + 1]: { n: 1 },
+    [prefix + 2]: { n: 2 }
+  }, { writeConcurrency: 1 })
+  t.deepEqual(Array.from(upserted.keys()), [prefix + 1, prefix + 2])
+  t.truthy(upserted.get(prefix + 1).cas)
+  t.falsy(upserted.get(prefix + 2).error)
+
+  const inserted = await driver.insertMulti([
+    { key: prefix + 2, value: { n: 22 } },
+    { key: prefix + 3, value: { n: 3 } }
+  ])
+  t.truthy(inserted.get(prefix + 2).error)
+  t.truthy(inserted.get(prefix + 3).cas)
+
+  const res = await driver.get([prefix + 1, prefix + 2, prefix + 3])
+  t.deepEqual(_.map(res, 'value'), [{ n: 1 }, { n: 2 }, { n: 3 }])
+
+  const removed = await driver.removeMulti([prefix + 1, prefix + 3, prefix + 4])
+  t.is(removed.size, 3)
+  removed.forEach(r => t.falsy(r.error))
+
+  const misses = await new Promise((resolve, reject) => {
+    driver.get([prefix + 1, prefix + 2, prefix + 3], (errors, results, misses) => {
+      if (errors) return reject(errors)
+      resolve(misses)
+    })
+  })
+  t.deepEqual(misses, [prefix + 1, prefix + 3])
+})
+
+test('promised: should only pass the write options of multiple writes to the bucket', async t => {
+  const received = []
+  const fakeBucket = {
+    upsert (key, value, options, fn) {
+      received.push(Object.assign({ key }, options))
+      const err = received.length === 1 ? Object.assign(new Error('Temporary failure'), { code: errors.temporaryError })
+        : null
+      process.nextTick(() => fn(err, err ? undefined : { cas: 1 }))
+    }
+  }
+  const d = new Driver(fakeBucket, { retryTemporaryErrors: false })
+
+  const res = await d.upsertMulti([
+    { key: 'a', value: {}, options: { expiry: 10, cas: 'cas-a' } },
+    { key: 'b', value: {} }
+  ], { writeConcurrency: 1, retryTemporaryErrors: true, tempRetryTimes: 2, tempRetryInterval: 1, persist_to: 1 })
+  // the first write is retried with the retry options of the call, which are not passed on to the bucket
+  t.deepEqual(Array.from(res.values()), [{ cas: 1 }, { cas: 1 }])
+  t.deepEqual(received, [
+    { key: 'a', expiry: 10, cas: 'cas-a', persist_to: 1 },
+    { key: 'a', expiry: 10, cas: 'cas-a', persist_to: 1 },
+    { key: 'b', persist_to: 1 }
+  ])
+})
+
 test('promised: should get a document using the custom get', async t => {
   t.plan(5)
 
@@ -327,6 +603,1061 @@ test.cb('should properly perform atomic within parallel requests and save option
   })
 })
 
+test('promised: should perform atomic with promise and callback transforms', async t => {
+  const dockey = 'cbtest::testdoc6::' + Date.now()
+
+  await driver.atomic(dockey, doc => Promise.resolve(tranform(doc, 'data1')), { atomicLock: true })
+  await driver.atomic(dockey, (doc, cb) => {
+    setImmediate(() => cb(null, tranform(doc, 'data2')))
+  }, { atomicLock: false })
+  // synchronous transforms may declare more parameters
+  await driver.atomic(dockey, (doc, unused) => tranform(doc, 'data3'), {})
+
+  const res = await driver.get(dockey)
+  t.deepEqual(res.value.keys, ['data1', 'data2', 'data3'])
+})
+
+test('promised: should not swallow errors thrown after a synchronous callback', async t => {
+  const d = new Driver({
+    get () {
+      throw new Error('bucket failed')
+    }
+  })
+  d.pre('get', (context, next) => next())
+
+  await t.throwsAsync(d.get('a'), 'bucket failed')
+})
+
+test('promised: should unlock and not write or retry when atomic transform rejects', async t => {
+  const dockey = 'cbtest::testdoc7::' + Date.now()
+  await driver.upsert(dockey, { keys: [] })
+
+  let calls = 0
+  const transform = async doc => {
+    calls++
+    throw new Error('transform failed')
+  }
+
+  const err = await t.throwsAsync(driver.atomic(dockey, transform, { atomicLock: true }))
+  t.is(err.message, 'transform failed')
+  t.is(calls, 1)
+
+  // not locked anymore
+  await driver.upsert(dockey, { keys: ['data1'] })
+  const res = await driver.get(dockey)
+  t.deepEqual(res.value.keys, ['data1'])
+})
+
+test('promised: atomic and atomicMulti should lock by default and roll back with the save options', async t => {
+  const bucket = new Driver.MemoryBucket()
+  let locks = 0
+  const getAndLock = bucket.getAndLock
+  bucket.getAndLock = function () {
+    locks++
+    return getAndLock.apply(this, arguments)
+  }
+  const driver = Driver.create(bucket)
+  await driver.upsert('a', { n: 0 })
+
+  await driver.atomic('a', doc => ({ value: doc, action: Driver.OPERATIONS.NOOP }), {})
+  t.is(locks, 1)
+  await driver.atomicMulti(['a'], docs => [{ value: docs[0], action: Driver.OPERATIONS.NOOP }], {})
+  t.is(locks, 2)
+  await driver.atomic('a', doc => ({ value: doc, action: Driver.OPERATIONS.NOOP }), { atomicLock: false })
+  t.is(locks, 2)
+
+  bucket.insert = (key, value, options, fn) => setImmediate(() => fn(new Error('insert failed')))
+  const err = await t.throwsAsync(driver.atomicMulti(['a', 'b'], () => [
+    { value: { n: 1 }, action: Driver.OPERATIONS.UPSERT },
+    { value: { n: 1 }, action: Driver.OPERATIONS.UPSERT }
+  ], { atomicRetryTimes: 1, saveOptions: { expiry: 10 } }))
+  t.is(err.message, 'insert failed')
+  t.deepEqual((await driver.get('a')).value, { n: 0 })
+  bucket.timeTravel(11000)
+  t.falsy(await driver.get('a'))
+})
+
+test('promised: should run pre and post hooks', async t => {
+  const dockey = 'cbtest::testdoc9::' + Date.now()
+  const d = Driver.create(bucket)
+  const calls = []
+
+  d.pre(['insert', 'upsert'], context => {
+    calls.push(`pre ${context.operation}`)
+    context.value.updatedAt = 1234
+  })
+  d.pre('insert', async context => {
+    if (context.key.startsWith('protected::')) {
+      throw new Error('Protected key')
+    }
+  })
+  d.post('get', (context, next) => {
+    calls.push(`post ${context.operation}`)
+    if (context.result) {
+      delete context.result.value.secret
+    }
+    next()
+  })
+
+  await d.upsert(dockey, { secret: 'a' })
+  const res = await d.get(dockey)
+  t.deepEqual(res.value, { updatedAt: 1234 })
+
+  const err = await t.throwsAsync(d.insert('protected::' + dockey, { a: 1 }))
+  t.is(err.message, 'Protected key')
+  t.falsy(await driver.get('protected::' + dockey))
+
+  await d.atomic(dockey, doc => ({ value: Object.assign(doc, { a: 1 }), action: Driver.OPERATIONS.UPSERT }), {})
+
+  await new Promise(resolve => {
+    d.get(dockey, (err, res) => {
+      t.falsy(err)
+      t.deepEqual(res.value, { updatedAt: 1234, a: 1 })
+      resolve()
+    })
+  })
+
+  // the redacted read and the write stamp of the hooks do not apply to the document written by atomic
+  const stored = await driver.get(dockey)
+  t.deepEqual(stored.value, { secret: 'a', updatedAt: 1234, a: 1 })
+
+  t.deepEqual(calls, ['pre upsert', 'post get', 'pre insert', 'post get'])
+  t.throws(() => d.pre('flush', () => {}))
+})
+
+test('promised: should emit operation events and collect metrics', async t => {
+  const dockey = 'cbtest::testdoc10::' + Date.now()
+  const d = Driver.create(bucket, { metrics: true })
+  const events = []
+  d.on('operationStart', e => events.push(['start', e.operation, e.keyPrefix]))
+  d.on('operationSuccess', e => {
+    t.true(typeof e.duration === 'number')
+    events.push(['success', e.operation, e.keyPrefix, e.misses])
+  })
+  d.on('operationError', e => events.push(['error', e.operation, e.keyPrefix, e.error.kind]))
+  d.on('atomicAttempt', e => events.push(['atomicAttempt', e.operation, e.attempt]))
+
+  await d.upsert(dockey, { a: 1 })
+  await d.get(['cbtest::missing', dockey])
+  await t.throwsAsync(d.insert(dockey, { a: 1 }))
+  await d.atomic(dockey, doc => ({ value: doc, action: Driver.OPERATIONS.NOOP }), {})
+
+  t.deepEqual(events, [
+    ['start', 'upsert', 'cbtest'],
+    ['success', 'upsert', 'cbtest', undefined],
+    ['start', 'get', 'cbtest'],
+    ['success', 'get', 'cbtest', 1],
+    ['start', 'insert', 'cbtest'],
+    ['error', 'insert', 'cbtest', 'keyExists'],
+    ['start', 'atomic', 'cbtest'],
+    ['atomicAttempt', 'atomic', 1],
+    ['start', 'unlock', 'cbtest'],
+    ['success', 'unlock', 'cbtest', undefined],
+    ['success', 'atomic', 'cbtest', undefined]
+  ])
+
+  const prefixes = []
+  d.on('operationStart', e => prefixes.push(e.keyPrefix))
+  await d.get(['cbtest::missing', 'other::missing'])
+  await d.get(['cbtest::missing', 'cbtest::other'])
+  t.deepEqual(prefixes, ['*', 'cbtest'])
+
+  const completed = []
+  d.on('operationSuccess', e => completed.push([e.operation, e.keyPrefix]))
+  await d.upsertMulti({ [dockey]: { a: 2 } })
+  await d.upsertMulti(new Map([[dockey, { a: 3 }]]))
+  await d.upsertMulti([{ key: dockey, value: { a: 4 } }])
+  await d.getMap([dockey])
+  await d.atomicMulti([dockey], docs => [{ value: docs[0], action: Driver.OPERATIONS.NOOP }], {})
+  t.deepEqual(completed, [
+    ['upsertMulti', 'cbtest'],
+    ['upsertMulti', 'cbtest'],
+    ['upsertMulti', 'cbtest'],
+    ['getMap', 'cbtest'],
+    ['unlock', 'cbtest'],
+    ['atomicMulti', 'cbtest']
+  ])
+
+  // scoped drivers are attached to the collector once
+  d.namespace('billing')
+  d.namespace('billing')
+  t.is(d.metrics.drivers.size, 2)
+
+  const text = d.metrics.toPrometheus()
+  t.true(text.includes('couchbase_driver_operations_total{key_prefix="cbtest",operation="get",status="success"} 2'))
+  t.true(text.includes('couchbase_driver_misses_total{key_prefix="cbtest",operation="get"} 3'))
+  t.true(text.includes('couchbase_driver_misses_total{key_prefix="*",operation="get"} 2'))
+  t.true(text.includes('couchbase_driver_errors_total{key_prefix="cbtest",kind="keyExists",operation="insert"} 1'))
+  t.true(text.includes('couchbase_driver_operations_total{key_prefix="cbtest",operation="getMap",status="success"} 1'))
+  t.true(text.includes('couchbase_driver_operations_total{key_prefix="cbtest",operation="atomicMulti",status="success"} 1'))
+})
+
+test('promised: should serve reads from the cache and invalidate on writes', async t => {
+  const dockey = 'cbtest::testdoc11::' + Date.now()
+  const otherkey = 'cbtest::testdoc11b::' + Date.now()
+  const d = Driver.create(bucket, { cache: { max: 10 }, metrics: true, atomicLock: false })
+  let hits = 0
+  d.on('cacheHit', () => hits++)
+
+  const res = await d.upsert(dockey, { a: 1 })
+  await driver.upsert(otherkey, { b: 1 })
+
+  // changed behind the driver's back so reads show whether they come from the cache
+  await new Promise((resolve, reject) => bucket.upsert(dockey, { a: 2 }, err => err ? reject(err) : resolve()))
+
+  const doc = await d.get(dockey)
+  t.deepEqual(doc.value, { a: 1 })
+  t.is(doc.cas, res.cas)
+  doc.value.a = 100
+  t.deepEqual((await d.get(dockey)).value, { a: 1 })
+  t.deepEqual((await d.get(dockey, { cache: false })).value, { a: 2 })
+
+  const multi = await d.getMap([dockey, otherkey])
+  t.deepEqual(multi.get(dockey).value, { a: 2 })
+  t.deepEqual(multi.get(otherkey).value, { b: 1 })
+  t.is(d.cache.size, 2)
+  t.is(hits, 3)
+
+  // atomic reads the current CAS instead of the stale cached one so the first attempt succeeds
+  await new Promise((resolve, reject) => bucket.upsert(dockey, { a: 5 }, err => err ? reject(err) : resolve()))
+  let attempts = 0
+  d.on('atomicAttempt', () => attempts++)
+  const atomicRes = await d.atomic(dockey, doc => {
+    doc.a++
+    return { value: doc, action: Driver.OPERATIONS.UPSERT }
+  }, {})
+  t.is(attempts, 1)
+  t.deepEqual((await d.get(dockey)).value, { a: 6 })
+  t.is((await d.get(dockey)).cas, atomicRes.cas)
+
+  await d.remove(dockey)
+  t.falsy(await d.get(dockey))
+  await d.counter(otherkey, 1, { initial: 1 }).catch(() => {})
+  t.is(d.cache.size, 0)
+
+  t.true(d.metrics.toPrometheus().includes('couchbase_driver_cache_hits_total{key_prefix="cbtest",operation="get"} 5'))
+})
+
+test('promised: should validate documents against schemas on write and report drift on get', async t => {
+  const dockey = 'cbtest::user12::' + Date.now()
+  const d = Driver.create(bucket, { atomicLock: false, validateOnGet: true })
+  d.addSchema('cbtest::user12::*', {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string' },
+      address: { type: 'object', properties: { zip: { type: 'string' } } }
+    }
+  })
+
+  const err = await t.throwsAsync(d.upsert(dockey, { address: { zip: 12345 } }))
+  t.true(err instanceof Driver.errors.ValidationError)
+  t.true(Driver.isValidationError(err))
+  t.is(err.kind, Driver.ERROR_KINDS.VALIDATION)
+  t.is(err.key, dockey)
+  t.deepEqual(err.errors.map(e => e.path), ['email', 'address.zip'])
+  t.falsy(await d.get(dockey))
+
+  await d.insert(dockey, { email: 'bob@example.com' })
+  await d.upsert('cbtest::other12::' + Date.now(), { foo: 'bar' })
+
+  let attempts = 0
+  d.on('atomicAttempt', () => attempts++)
+  const atomicErr = await t.throwsAsync(d.atomic(dockey, doc => {
+    doc.email = null
+    return { value: doc, action: Driver.OPERATIONS.UPSERT }
+  }, { atomicLock: true }))
+  t.true(atomicErr instanceof Driver.errors.ValidationError)
+  t.is(attempts, 1)
+  // the document was unlocked and not changed
+  await d.upsert(dockey, { email: 'bob@example.com', name: 'Bob' })
+
+  // written behind the driver's back
+  await new Promise((resolve, reject) => bucket.upsert(dockey, { name: 'Bob' }, err => err ? reject(err) : resolve()))
+  const drifts = []
+  d.on('validationDrift', e => drifts.push(e))
+  const doc = await d.get(dockey)
+  t.deepEqual(doc.value, { name: 'Bob' })
+  await d.get([dockey], { validateOnGet: false })
+  t.is(drifts.length, 1)
+  t.is(drifts[0].key, dockey)
+  t.deepEqual(drifts[0].errors.map(e => e.path), ['email'])
+})
+
+test('promised: should prefix keys with the namespace', async t => {
+  const ns = 'cbtest13' + Date.now()
+  const d = Driver.create(bucket, { namespace: ns })
+  const billing = d.namespace('billing')
+  t.is(d.keyPrefix, `${ns}::`)
+  t.is(billing.keyPrefix, `${ns}::billing::`)
+  t.throws(() => d.namespace(''))
+  t.is(d.namespace('billing'), billing)
+
+  await billing.upsert('invoice::1', { total: 10 })
+  await billing.insertMulti({ 'invoice::2': { total: 20 } })
+  t.deepEqual((await d.get('billing::invoice::1')).value, { total: 10 })
+  t.deepEqual((await driver.get(`${ns}::billing::invoice::2`)).value, { total: 20 })
+
+  const [results, misses] = await new Promise((resolve, reject) => {
+    billing.get(['invoice::1', 'invoice::3', 'invoice::2'], (err, results, misses) => {
+      return err ? reject(err) : resolve([results, misses])
+    })
+  })
+  t.deepEqual(results.map(r => r.value), [{ total: 10 }, { total: 20 }])
+  t.deepEqual(misses, ['invoice::3'])
+
+  const map = await billing.getMap(['invoice::1', 'invoice::3'])
+  t.deepEqual(Array.from(map.keys()), ['invoice::1', 'invoice::3'])
+
+  await billing.atomic('invoice::1', doc => {
+    doc.total++
+    return { value: doc, action: Driver.OPERATIONS.UPSERT }
+  }, {})
+  const locked = await billing.getAndLock('invoice::1')
+  t.is(locked.value.total, 11)
+  await billing.unlock('invoice::1', locked.cas)
+  await billing.counter('seq', 1, { initial: 5 })
+  t.is((await driver.get(`${ns}::billing::seq`)).value, 5)
+
+  const err = await t.throwsAsync(billing.insert('invoice::1', { total: 1 }))
+  t.is(err.key, 'invoice::1')
+
+  await billing.removeMulti(['invoice::1', 'invoice::2', 'seq'])
+  t.falsy(await d.get('billing::invoice::1'))
+})
+
+test('promised: should keep revisions of audited keys and restore them', async t => {
+  const dockey = 'cbtest::contract14::' + Date.now()
+  // the mock of the SDK does not remove locked documents with the CAS of the lock like the server does
+  const d = Driver.create(new Driver.MemoryBucket(), { history: { 'cbtest::contract14::*': 2 } })
+  const errorEvents = []
+  d.on('historyError', e => errorEvents.push(e))
+
+  await d.insert(dockey, { v: 1 })
+  t.deepEqual(await d.getRevisions(dockey), [])
+
+  await d.upsert(dockey, { v: 2 }, { actor: 'bob' })
+  await d.atomic(dockey, doc => {
+    doc.v++
+    return { value: doc, action: Driver.OPERATIONS.UPSERT }
+  }, { actor: 'alice' })
+  await d.atomic(dockey, doc => {
+    doc.v++
+    return { value: doc, action: Driver.OPERATIONS.UPSERT }
+  }, { atomicLock: true })
+
+  // only the last 2 revisions are kept
+  let revisions = await d.getRevisions(dockey)
+  t.deepEqual(revisions.map(r => [r.rev, r.operation, r.actor, r.value]), [
+    [3, 'upsert', undefined, { v: 3 }],
+    [2, 'upsert', 'alice', { v: 2 }]
+  ])
+  t.true(typeof revisions[0].timestamp === 'string')
+  t.falsy(await d.get(`_history::${dockey}::1`))
+
+  await d.restoreRevision(dockey, 2, { actor: 'carol' })
+  t.deepEqual((await d.get(dockey)).value, { v: 2 })
+  revisions = await d.getRevisions(dockey)
+  t.deepEqual(revisions.map(r => [r.rev, r.actor, r.value]), [[4, 'carol', { v: 4 }], [3, undefined, { v: 3 }]])
+  await t.throwsAsync(d.restoreRevision(dockey, 1), /Revision 1/)
+
+  await d.remove(dockey, { actor: 'dave' })
+  revisions = await d.getRevisions(dockey)
+  t.deepEqual(revisions.map(r => [r.rev, r.operation, r.actor, r.value]), [[5, 'remove', 'dave', { v: 2 }], [4, 'upsert', 'carol', { v: 4 }]])
+
+  // keys not matching are not audited
+  await d.upsert('cbtest::other14::' + Date.now(), { v: 1 })
+  t.deepEqual(errorEvents, [])
+})
+
+test('promised: history should save the document read by atomic and lock the document on plain writes', async t => {
+  const bucket = new Driver.MemoryBucket()
+  const calls = []
+  ;['get', 'getAndLock', 'unlock'].forEach(name => {
+    const original = bucket[name]
+    bucket[name] = function (key) {
+      calls.push(`${name} ${key}`)
+      return original.apply(this, arguments)
+    }
+  })
+  const driver = Driver.create(bucket, { history: { 'doc::*': 5 } })
+  driver.addSchema('*', { type: 'object', required: ['n'] })
+  const hooked = []
+  driver.pre(['upsert', 'remove'], context => { hooked.push(context.key) })
+
+  await driver.insert('doc::1', { n: 0 })
+  calls.length = 0
+  await driver.upsert('doc::1', { n: 1 })
+  t.is(calls[0], 'getAndLock doc::1')
+  t.is(calls.filter(r => r.endsWith(' doc::1')).length, 1)
+
+  calls.length = 0
+  await driver.atomic('doc::1', doc => {
+    doc.n++
+    return { value: doc, action: Driver.OPERATIONS.UPSERT }
+  }, {})
+  t.is(calls.filter(r => r.endsWith(' doc::1')).length, 1)
+
+  calls.length = 0
+  await driver.atomic('doc::1', doc => {
+    doc.n++
+    return { value: doc, action: Driver.OPERATIONS.UPSERT }
+  }, { atomicLock: false })
+  t.deepEqual(calls.filter(r => r.endsWith(' doc::1')), ['get doc::1'])
+
+  // removed with the CAS of the lock without unlocking it first
+  calls.length = 0
+  await driver.remove('doc::1')
+  t.deepEqual(calls.filter(r => r.endsWith(' doc::1')), ['getAndLock doc::1'])
+  const revisions = await driver.getRevisions('doc::1')
+  t.deepEqual(revisions.map(r => [r.operation, r.value]), [
+    ['remove', { n: 3 }],
+    ['upsert', { n: 2 }],
+    ['upsert', { n: 1 }],
+    ['upsert', { n: 0 }]
+  ])
+
+  // the revisions are written without the hooks and the schemas of the documents
+  t.deepEqual(hooked, ['doc::1', 'doc::1'])
+  t.falsy(await driver.get('doc::1'))
+})
+
+test.cb('should compress large documents', t => {
+  const compressedBucket = cluster.openBucket('couchbase_driver_compression_test', err => {
+    t.falsy(err)
+
+    const d = Driver.create(compressedBucket, { compression: { threshold: 256 } })
+    const large = { text: 'lorem ipsum '.repeat(100) }
+    const run = async () => {
+      t.truthy(d.transcoder)
+      await d.upsert('large', large)
+      await d.upsert('small', { a: 1 })
+      t.deepEqual((await d.get('large')).value, large)
+
+      const [results] = await new Promise((resolve, reject) => {
+        d.get(['large', 'small'], (err, results, misses) => err ? reject(err) : resolve([results, misses]))
+      })
+      t.deepEqual(results.map(r => r.value), [large, { a: 1 }])
+
+      const locked = await d.getAndLock('large')
+      t.deepEqual(locked.value, large)
+      await d.unlock('large', locked.cas)
+    }
+
+    run().then(() => t.end(), t.end)
+  })
+})
+
+test('promised: should encrypt and decrypt document fields', async t => {
+  const dockey = 'cbtest::pii16::' + Date.now()
+  const keys = { k1: Buffer.alloc(32, 1), k2: Buffer.alloc(32, 2) }
+  const encryption = {
+    fields: { 'cbtest::pii16::*': ['ssn', 'address.street'] },
+    keyId: 'k1',
+    getKey: kid => Promise.resolve(keys[kid])
+  }
+  const d = Driver.create(bucket, { encryption, history: { 'cbtest::pii16::*': 5 } })
+
+  const value = { name: 'Bob', ssn: '123-45-6789', address: { street: '1 Main St', city: 'Springfield' } }
+  await d.upsert(dockey, value)
+
+  const stored = (await driver.get(dockey)).value
+  t.is(stored.name, 'Bob')
+  t.is(stored.ssn, undefined)
+  t.is(stored.address.city, 'Springfield')
+  t.is(stored['encrypted$ssn'].alg, 'AES-256-GCM')
+  t.is(stored['encrypted$ssn'].kid, 'k1')
+  t.truthy(stored.address['encrypted$street'].ciphertext)
+  t.false(JSON.stringify(stored).includes('123-45-6789'))
+
+  t.deepEqual((await d.get(dockey)).value, value)
+  const map = await d.getMap([dockey])
+  t.deepEqual(map.get(dockey).value, value)
+
+  // rotate the key, old values are still readable
+  encryption.keyId = 'k2'
+  const d2 = Driver.create(bucket, { encryption })
+  await d2.atomic(dockey, doc => {
+    t.is(doc.ssn, '123-45-6789')
+    doc.ssn = '987-65-4321'
+    return { value: doc, action: Driver.OPERATIONS.UPSERT }
+  }, { atomicLock: true })
+  t.is((await driver.get(dockey)).value['encrypted$ssn'].kid, 'k2')
+  t.is((await d.get(dockey)).value.ssn, '987-65-4321')
+
+  // revisions are stored encrypted
+  await d.upsert(dockey, value)
+  const revisions = await d.getRevisions(dockey)
+  t.is(revisions[0].value.ssn, '987-65-4321')
+  t.is((await driver.get(`_history::${dockey}::${revisions[0].rev}`)).value.value.ssn, undefined)
+
+  const { EncryptionError } = Driver.errors
+  const noKeys = Driver.create(bucket, { encryption: { fields: encryption.fields, keyId: 'k3', getKey: () => null } })
+  const readErr = await t.throwsAsync(noKeys.get(dockey))
+  t.true(readErr instanceof EncryptionError)
+  t.is(readErr.kind, Driver.ERROR_KINDS.ENCRYPTION)
+  t.is(readErr.key, dockey)
+  const lockErr = await t.throwsAsync(noKeys.getAndLock(dockey))
+  t.true(lockErr instanceof EncryptionError)
+  await t.throwsAsync(noKeys.upsert(dockey, value), EncryptionError)
+  // not left locked
+  await d.upsert(dockey, value)
+
+  // the proxied bucket functions encrypt and decrypt too
+  const replaced = Object.assign({}, value, { ssn: '555-55-5555' })
+  await d.replace(dockey, replaced)
+  t.is((await driver.get(dockey)).value.ssn, undefined)
+  t.deepEqual((await d.getAndTouch(dockey, 0)).value, replaced)
+  t.deepEqual((await d.getReplica(dockey)).value, replaced)
+
+  // the ciphertext is bound to the document key
+  const otherkey = 'cbtest::pii16::other' + Date.now()
+  await driver.upsert(otherkey, (await driver.get(dockey)).value)
+  const movedErr = await t.throwsAsync(d.get(otherkey))
+  t.true(movedErr instanceof EncryptionError)
+  t.regex(movedErr.message, /ssn/)
+
+  stored.address['encrypted$street'].ciphertext = Buffer.from('tampered').toString('base64')
+  await driver.upsert(dockey, stored)
+  const tamperErr = await t.throwsAsync(d.get(dockey))
+  t.true(tamperErr instanceof EncryptionError)
+  t.regex(tamperErr.message, /address\.street/)
+})
+
+function fakeQueryBucket (rows, meta, err) {
+  return {
+    query () {
+      const req = new EventEmitter()
+      setImmediate(() => {
+        rows.forEach(row => req.emit('row', row))
+        if (err) {
+          return req.emit('error', err, meta)
+        }
+        req.emit('end', meta)
+      })
+      return req
+    }
+  }
+}
+
+test.cb('should stream query rows with metadata', t => {
+  const meta = { status: 'success', metrics: { resultCount: 3 }, warnings: [] }
+  const d = new Driver(fakeQueryBucket([{ id: 1 }, { id: 2 }, { id: 3 }], meta), { metrics: true })
+  const rows = []
+  const stream = d.queryStream('SELECT 1', [], { highWaterMark: 1 })
+  let metaEvent = null
+  stream.on('meta', m => { metaEvent = m })
+  stream.on('data', row => rows.push(row))
+  stream.on('end', () => {
+    t.deepEqual(rows, [{ id: 1 }, { id: 2 }, { id: 3 }])
+    t.is(metaEvent, meta)
+    t.is(stream.meta.metrics.resultCount, 3)
+    t.true(d.metrics.toPrometheus().includes('operation="query",status="success"} 1'))
+    t.end()
+  })
+})
+
+test.cb('should pause the query response while the stream buffer is full', t => {
+  const req = new EventEmitter()
+  const calls = []
+  req.pause = () => calls.push('pause')
+  req.resume = () => {
+    calls.push('resume')
+    req.emit('row', { id: 2 })
+    req.emit('end', {})
+  }
+  const d = new Driver({ query: () => req })
+  const stream = d.queryStream('SELECT 1', [], { highWaterMark: 1 })
+  req.emit('row', { id: 1 })
+  t.deepEqual(calls, ['pause'])
+
+  const rows = []
+  stream.on('data', row => rows.push(row))
+  stream.on('end', () => {
+    t.deepEqual(rows, [{ id: 1 }, { id: 2 }])
+    // paused again as each row fills the buffer of a single row
+    t.deepEqual(calls, ['pause', 'resume', 'pause'])
+    t.end()
+  })
+})
+
+test('promised: should iterate query rows', async t => {
+  const meta = { status: 'success', metrics: { resultCount: 3 } }
+  const d = new Driver(fakeQueryBucket([{ id: 1 }, { id: 2 }, { id: 3 }], meta))
+
+  const rows = []
+  const iterator = d.queryIterator('SELECT 1')
+  for (let res = await iterator.next(); !res.done; res = await iterator.next()) {
+    rows.push(res.value)
+  }
+  t.deepEqual(rows, [{ id: 1 }, { id: 2 }, { id: 3 }])
+  t.is(iterator.meta, meta)
+  t.is(iterator[Symbol.asyncIterator](), iterator)
+
+  const early = d.queryIterator('SELECT 1')
+  t.deepEqual(await early.next(), { value: { id: 1 }, done: false })
+  t.deepEqual(await early.return(), { value: undefined, done: true })
+  t.deepEqual(await early.next(), { value: undefined, done: true })
+
+  const queryError = new Error('syntax error')
+  const failing = new Driver(fakeQueryBucket([{ id: 1 }], { status: 'errors' }, queryError)).queryIterator('SELEC 1')
+  t.deepEqual(await failing.next(), { value: { id: 1 }, done: false })
+  t.is(await t.throwsAsync(failing.next()), queryError)
+  t.deepEqual(failing.meta, { status: 'errors' })
+
+  const throwing = new Driver({ query () { throw new Error('bad query') } }).queryIterator('SELECT 1')
+  await t.throwsAsync(throwing.next(), 'bad query')
+})
+
+test('promised: should complete the query operation when the iteration stops early', async t => {
+  const d = new Driver(fakeQueryBucket([{ id: 1 }, { id: 2 }, { id: 3 }], {}), { metrics: true })
+  const events = []
+  d.on('operationStart', e => events.push(['start', e.operation]))
+  d.on('operationSuccess', e => events.push(['success', e.operation]))
+  d.on('operationError', e => events.push(['error', e.operation]))
+
+  const rows = []
+  for await (const row of d.queryIterator('SELECT 1')) {
+    rows.push(row)
+    break
+  }
+  await new Promise(resolve => setImmediate(resolve))
+  t.deepEqual(rows, [{ id: 1 }])
+  t.deepEqual(events, [['start', 'query'], ['success', 'query']])
+  t.true(d.metrics.toPrometheus().includes('operation="query",status="success"} 1'))
+})
+
+test('promised: should build and run parameterised queries', async t => {
+  const queries = []
+  const queryBucket = {
+    name: 'default',
+    query (query, params, fn) {
+      queries.push({ query, params })
+      setImmediate(() => fn(null, [{ name: 'Bob' }], { status: 'success' }))
+    }
+  }
+  const d = Driver.create(queryBucket, { namespace: 'app' })
+
+  const builder = d.select('name', 'address.city')
+    .from(bucket, 'u')
+    .useKeys(['user::1', 'user::2'])
+    .where('type', '=', 'user')
+    .where('u.age', '>=', 18)
+    .where('email', 'is not missing')
+    .where('name', "Bob' OR 1=1 --")
+    .orderBy('name')
+    .orderBy('age', 'desc')
+    .limit(10)
+    .offset(20)
+    .consistency('request_plus')
+
+  t.is(builder.toString(), 'SELECT `name`, `address`.`city` FROM `' + bucket.name + '` AS `u` USE KEYS $p1 ' +
+    'WHERE `type` = $p2 AND `u`.`age` >= $p3 AND `email` IS NOT MISSING AND `name` = $p4 ' +
+    'ORDER BY `name` ASC, `age` DESC LIMIT $p5 OFFSET $p6')
+  t.deepEqual(builder.params, {
+    p1: ['app::user::1', 'app::user::2'],
+    p2: 'user',
+    p3: 18,
+    p4: "Bob' OR 1=1 --",
+    p5: 10,
+    p6: 20
+  })
+
+  const rows = await builder.execute()
+  t.deepEqual(rows, [{ name: 'Bob' }])
+  t.is(queries[0].params, builder.params)
+  t.is(queries[0].query.options.statement, builder.toString())
+  t.is(queries[0].query.options.scan_consistency, 'request_plus')
+
+  const { raw } = Driver.QueryBuilder
+  const counting = d.select(raw('COUNT(*) AS total'), 'u.*').from('other`bucket', 'u').where('tags', 'IN', ['a'])
+  t.is(counting.toString(), 'SELECT COUNT(*) AS total, `u`.* FROM `other``bucket` AS `u` WHERE `tags` IN $p1')
+  t.is(d.select().toString(), 'SELECT * FROM `default`')
+  const meta = await new Promise((resolve, reject) => {
+    counting.execute((err, rows, meta) => err ? reject(err) : resolve(meta))
+  })
+  t.deepEqual(meta, { status: 'success' })
+
+  t.throws(() => d.select().where('type', '; DROP', 'user'), TypeError)
+  t.throws(() => d.select().where('type', 'IN', 'user'), TypeError)
+  t.throws(() => d.select().orderBy('name', 'sideways'), TypeError)
+  t.throws(() => d.select().limit(-1), TypeError)
+  t.throws(() => d.select().offset(1.5), TypeError)
+  t.throws(() => d.select().consistency('eventually'), TypeError)
+  t.throws(() => d.select().from(null), TypeError)
+})
+
+test('promised: should return typed errors', async t => {
+  const dockey = 'cbtest::testdoc8::' + Date.now()
+  const { CouchbaseError, CasMismatchError, KeyExistsError, LockedError, TemporaryError } = Driver.errors
+
+  const res = await driver.insert(dockey, { a: 1 })
+  await driver.upsert(dockey, { a: 2 })
+
+  const casErr = await t.throwsAsync(driver.upsert(dockey, { a: 3 }, { cas: res.cas }))
+  t.true(casErr instanceof CasMismatchError)
+  t.true(casErr instanceof CouchbaseError)
+  t.is(casErr.kind, Driver.ERROR_KINDS.CAS_MISMATCH)
+  t.is(casErr.key, dockey)
+  t.is(casErr.code, errors.keyAlreadyExists)
+  t.true(Driver.isCasMismatch(casErr))
+
+  const existsErr = await t.throwsAsync(driver.insert(dockey, { a: 3 }))
+  t.true(existsErr instanceof KeyExistsError)
+  t.true(Driver.isKeyExists(existsErr))
+  t.false(Driver.isCasMismatch(existsErr))
+
+  const locked = await driver.getAndLock(dockey)
+  const lockedErr = await t.throwsAsync(driver.getAndLock(dockey))
+  t.true(lockedErr instanceof LockedError)
+  t.true(lockedErr instanceof TemporaryError)
+  t.true(Driver.isLocked(lockedErr))
+  t.true(Driver.isTemporaryError(lockedErr))
+  await driver.unlock(dockey, locked.cas)
+
+  const unlockErr = await t.throwsAsync(driver.unlock(dockey, locked.cas))
+  t.true(unlockErr instanceof CouchbaseError)
+})
+
+test('should classify raw errors', t => {
+  const err = (code, message = 'error') => Object.assign(new Error(message), { code })
+
+  t.true(Driver.isTimeout(err(errors.timedOut)))
+  t.true(Driver.isValueTooLarge(err(errors.objectTooBig)))
+  t.true(Driver.isNetworkError(err(errors.networkError)))
+  t.true(Driver.isNetworkError(err('ECONNREFUSED')))
+  t.true(Driver.isAuthenticationError(err(errors.authError)))
+  t.true(Driver.isCasMismatch(err(errors.keyAlreadyExists, 'cas mismatch')))
+  t.true(Driver.isKeyExists(err(errors.keyAlreadyExists, 'key already exists')))
+  const lcbExists = 'The key already exists in the server. If you have supplied a CAS then the key exists with a CAS ' +
+    'value different than specified'
+  t.true(Driver.isKeyExists(err(errors.keyAlreadyExists, lcbExists)))
+  t.false(Driver.isTimeout(new Error('timeout')))
+  t.false(Driver.isNetworkError(null))
+})
+
+function multiTransform (values, data) {
+  return values.map(docData => tranform(docData, data))
+}
+
+test.cb('should properly perform atomicMulti within parallel requests', t => {
+  const dockeys = ['cbtest::testdoc2::' + Date.now(), 'cbtest::testdoc3::' + Date.now()]
+  asl.parallel([
+    function (pcb) {
+      driver.atomicMulti(dockeys, _.partialRight(multiTransform, 'data1'), { atomicRetryTimes: 20 }, pcb)
+    },
+    function (pcb) {
+      driver.atomicMulti(dockeys, _.partialRight(multiTransform, 'data2'), { atomicRetryTimes: 20 }, pcb)
+    }
+  ], (err, res) => {
+    t.falsy(err)
+    t.truthy(res)
+
+    bucket.getMulti(dockeys, (err, res) => {
+      t.falsy(err)
+      dockeys.forEach(k => {
+        t.deepEqual(res[k].value.keys.sort(), ['data1', 'data2'])
+      })
+      t.end()
+    })
+  })
+})
+
+test('promised: atomicMulti should roll back applied writes when a write fails', async t => {
+  const dockeys = ['cbtest::testdoc4::' + Date.now(), 'cbtest::testdoc5::' + Date.now()]
+  await driver.upsert(dockeys[0], { keys: ['data0'] })
+
+  let inserts = 0
+  const failing = Object.create(bucket)
+  failing.insert = function (key, value, options, fn) {
+    inserts++
+    process.nextTick(() => fn(new Error('insert failed')))
+  }
+  const d = Driver.create(failing, { atomicRetryTimes: 2 })
+  const pres = []
+  d.pre(['insert', 'upsert', 'remove'], context => { pres.push(context.operation) })
+
+  const err = await t.throwsAsync(d.atomicMulti(dockeys, _.partialRight(multiTransform, 'data1'), {}))
+  t.is(err.message, 'insert failed')
+  t.falsy(err.compensationErrors)
+  t.is(inserts, 2)
+  // the writes and the rollbacks of atomicMulti do not run the hooks of the single writes
+  t.deepEqual(pres, [])
+
+  const res = await driver.getMap(dockeys)
+  t.deepEqual(res.get(dockeys[0]).value, { keys: ['data0'] })
+  t.true(res.get(dockeys[1]).missing)
+
+  // make sure nothing is left locked
+  await driver.upsert(dockeys[0], { keys: [] })
+})
+
+test('promised: should transform sub-document paths with atomicPath', async t => {
+  const driver = Driver.create(new Driver.MemoryBucket(), { atomicRetryTimes: 5 })
+  await driver.insert('user::1', { name: 'Bob', stats: { logins: 0 }, tags: ['a'] })
+
+  const values = await driver.atomicPath('user::1', ['stats.logins', 'address.city'], values => {
+    t.deepEqual(values, { 'stats.logins': 0, 'address.city': undefined })
+    return { 'stats.logins': values['stats.logins'] + 1, 'address.city': 'Austin' }
+  }, {})
+  t.deepEqual(values, { 'stats.logins': 1, 'address.city': 'Austin' })
+
+  await Promise.all([1, 2, 3].map(() => driver.atomicPath('user::1', 'stats.logins', values => ({
+    'stats.logins': values['stats.logins'] + 1
+  }), {})))
+
+  await driver.atomicPath('user::1', ['tags[0]', 'name'], (values, fn) => fn(null, { name: undefined }), {})
+  t.deepEqual((await driver.get('user::1')).value, {
+    stats: { logins: 4 },
+    tags: ['a'],
+    address: { city: 'Austin' }
+  })
+
+  const err = await t.throwsAsync(driver.atomicPath('user::2', 'name', () => ({ name: 'Bill' }), {}))
+  t.true(Driver.isKeyNotFound(err))
+  await t.throwsAsync(driver.atomicPath('user::1', 'name', () => Promise.reject(new Error('nope')), {}), 'nope')
+})
+
+test('promised: atomicPath should fall back to atomic with hooks or compression', async t => {
+  const hooked = Driver.create(new Driver.MemoryBucket())
+  hooked.bucket.mutateIn = () => t.fail('mutateIn should not be used')
+  const calls = []
+  hooked.pre('atomic', context => { calls.push(context.key) })
+  await hooked.insert('user::1', { stats: { logins: 1 } })
+  await hooked.atomicPath('user::1', 'stats.logins', values => ({ 'stats.logins': values['stats.logins'] + 1 }), {})
+  t.deepEqual(calls, ['user::1'])
+  t.deepEqual((await hooked.get('user::1')).value, { stats: { logins: 2 } })
+
+  const compressed = Driver.create(new Driver.MemoryBucket(), { compression: { threshold: 10 } })
+  compressed.bucket.mutateIn = () => t.fail('mutateIn should not be used')
+  await compressed.insert('user::1', { name: 'Bob', bio: 'x'.repeat(100) })
+  await compressed.atomicPath('user::1', 'name', () => ({ name: 'Bill' }), {})
+  t.deepEqual((await compressed.get('user::1')).value, { name: 'Bill', bio: 'x'.repeat(100) })
+})
+
+test('promised: should fall back to atomic without sub-document support', async t => {
+  const driver = Driver.create(new Driver.MemoryBucket({ version: '4.1.0' }))
+  await driver.insert('user::1', { stats: { logins: 2 }, name: 'Bob' })
+  const bucket = driver.bucket
+  bucket.lookupIn = () => t.fail('lookupIn should not be used')
+
+  const values = await driver.atomicPath('user::1', ['stats.logins', 'name', 'tags[0]'], values => ({
+    'stats.logins': values['stats.logins'] + 1,
+    name: undefined,
+    'tags[0]': 'a'
+  }), {})
+  t.deepEqual(values, { 'stats.logins': 3, name: undefined, 'tags[0]': 'a' })
+  t.deepEqual((await driver.get('user::1')).value, { stats: { logins: 3 }, tags: ['a'] })
+
+  t.deepEqual(await driver.atomicPath('user::1', 'name', () => null, {}), { name: undefined })
+  const err = await t.throwsAsync(driver.atomicPath('user::2', 'name', () => ({ name: 'Bill' }), {}))
+  t.true(Driver.isKeyNotFound(err))
+})
+
+test('promised: should hand out unique IDs from sequences sharing a counter', async t => {
+  const name = 'cbtest::seq::' + Date.now()
+  const format = id => `INV-${id}`
+  const first = driver.sequence(name, { initial: 1000, blockSize: 5, format })
+  const second = Driver.create(bucket).sequence(name, { initial: 1000, blockSize: 5, format })
+
+  const ids = await Promise.all(_.range(12).map(i => (i % 2 ? first : second).next()))
+  t.is(new Set(ids).size, 12)
+  // each sequence used up its first block and reserved a second one
+  t.true(ids.every(id => /^INV-10(0\d|1\d)$/.test(id)))
+  t.is(first.remaining + second.remaining, 8)
+  t.is((await driver.get(name)).value, 1019)
+
+  t.throws(() => driver.sequence(name, { blockSize: 0 }), TypeError)
+  t.throws(() => driver.sequence(''), TypeError)
+})
+
+test('promised: should retry sequence reservations on temporary errors', async t => {
+  const bucket = new Driver.MemoryBucket()
+  const counter = bucket.counter
+  let calls = 0
+  bucket.counter = function (key, delta, options, fn) {
+    if (++calls === 1) {
+      const err = new Error('Temporary failure received from server. Try again later')
+      err.code = errors.temporaryError
+      return setImmediate(() => fn(err))
+    }
+    return counter.apply(this, arguments)
+  }
+  const driver = Driver.create(bucket, { tempRetryTimes: 3 })
+
+  const sequence = driver.sequence('seq', { blockSize: 3 })
+  t.deepEqual(await Promise.all([sequence.next(), sequence.next(), sequence.next(), sequence.next()]), [1, 2, 3, 4])
+  t.is(calls, 3)
+  t.is(sequence.remaining, 2)
+
+  const failing = driver.sequence('seq', { retryTemporaryErrors: false })
+  calls = 0
+  const err = await t.throwsAsync(failing.next())
+  t.true(Driver.isTemporaryError(err))
+  t.is(await failing.next(), 7)
+})
+
+test('promised: should hand locks to waiters in order and only let the owner release them', async t => {
+  const driver = Driver.create(new Driver.MemoryBucket())
+  const other = Driver.create(driver.bucket)
+
+  const lock = await driver.lock('lock::job', { ttl: 1000 })
+  t.true(lock instanceof Driver.Lock)
+  const timeoutErr = await t.throwsAsync(other.lock('lock::job', { retryInterval: 5 }))
+  t.true(Driver.isLockTimeout(timeoutErr))
+  t.is(timeoutErr.kind, Driver.ERROR_KINDS.LOCK_TIMEOUT)
+
+  const order = []
+  const waiting = [other, driver, other].map((d, i) => new Promise(resolve => setTimeout(resolve, i * 10))
+    .then(() => d.lock('lock::job', { wait: 2000, retryInterval: 5 }))
+    .then(l => {
+      order.push(i)
+      return new Promise(resolve => setTimeout(resolve, 10)).then(() => l.release())
+    }))
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.is((await driver.get('lock::job')).value.queue.length, 3)
+  t.true(await lock.extend(5000) > Date.now() + 4000)
+  await lock.release()
+  t.true(lock.released)
+  await Promise.all(waiting)
+  t.deepEqual(order, [0, 1, 2])
+  t.falsy(await driver.get('lock::job'))
+
+  // an expired lease can be taken over and the previous owner can not release it
+  const expired = await driver.lock('lock::job', { ttl: 20, renew: false })
+  await new Promise(resolve => setTimeout(resolve, 30))
+  const taken = await other.lock('lock::job', { ttl: 1000 })
+  const notOwnedErr = await t.throwsAsync(expired.release())
+  t.true(Driver.isLockNotOwned(notOwnedErr))
+  t.is(notOwnedErr.message, 'Lock lock::job is held by another owner')
+  await t.throwsAsync(expired.extend(), Driver.errors.LockNotOwnedError)
+  t.truthy(await driver.get('lock::job'))
+  await taken.release()
+
+  await t.throwsAsync(driver.lock('lock::job', { ttl: 0 }), TypeError)
+  const callbackErr = await new Promise(resolve => driver.lock('', { wait: 10 }, resolve))
+  t.true(callbackErr instanceof TypeError)
+  t.is(callbackErr.message, 'Lock name must be a non-empty string')
+})
+
+test('promised: should let many concurrent waiters acquire the lock in turn', async t => {
+  const bucket = new Driver.MemoryBucket()
+  const driver = Driver.create(bucket)
+  const lock = await driver.lock('lock::busy', { ttl: 5000 })
+
+  const acquired = []
+  const waiting = Array.from({ length: 30 }, (v, i) => Driver.create(bucket)
+    .lock('lock::busy', { wait: 20000, retryInterval: 5 })
+    .then(l => {
+      acquired.push(i)
+      return l.release()
+    }))
+  await new Promise(resolve => setTimeout(resolve, 200))
+  await lock.release()
+  await Promise.all(waiting)
+  t.is(acquired.length, 30)
+  t.falsy(await driver.get('lock::busy'))
+})
+
+test('promised: should acquire locks without hooks and operation events', async t => {
+  const driver = Driver.create(new Driver.MemoryBucket())
+  driver.pre('get', () => Promise.reject(new Error('rejected by hook')))
+  const events = []
+  driver.on('operationStart', e => events.push(e.operation))
+
+  const lock = await driver.lock('lock::hooks', { ttl: 1000 })
+  t.true(await lock.extend() > Date.now())
+  await lock.release()
+  t.deepEqual(events, [])
+})
+
+test('promised: should drop waiters that stopped polling from the queue', async t => {
+  const driver = Driver.create(new Driver.MemoryBucket())
+  const lock = await driver.lock('lock::crash', { ttl: 5000 })
+
+  // the waiter stops polling once it is queued, as if its process crashed
+  const stalled = Object.create(driver.bucket)
+  let polls = 0
+  stalled.get = function () {
+    if (++polls === 1) {
+      return driver.bucket.get.apply(this, arguments)
+    }
+  }
+  const crashed = Driver.create(stalled)
+  crashed.lock('lock::crash', { wait: 60000, retryInterval: 5 })
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.is((await driver.get('lock::crash')).value.queue.length, 1)
+
+  const start = Date.now()
+  const waiting = driver.lock('lock::crash', { wait: 10000, retryInterval: 5 })
+  await lock.release()
+  await (await waiting).release()
+  t.true(Date.now() - start < 5000)
+})
+
+test('promised: should renew the lease of held locks', async t => {
+  const driver = Driver.create(new Driver.MemoryBucket())
+  const lock = await driver.lock('lock::renew', { ttl: 40 })
+  await new Promise(resolve => setTimeout(resolve, 100))
+  t.true(lock.expires > Date.now())
+  t.true(Driver.isLockTimeout(await t.throwsAsync(driver.lock('lock::renew'))))
+
+  // failed renewals are retried while the lease is held
+  const get = driver.bucket.get
+  let failures = 0
+  driver.bucket.get = function (key, options, fn) {
+    if (++failures <= 2) {
+      const err = new Error('Temporary failure received from server. Try again later')
+      err.code = errors.temporaryError
+      return setImmediate(() => fn(err))
+    }
+    return get.apply(this, arguments)
+  }
+  const renewed = lock.expires
+  await new Promise(resolve => setTimeout(resolve, 60))
+  t.true(failures > 2)
+  t.true(lock.expires > renewed)
+  driver.bucket.get = get
+
+  // renewal timers do not keep the process alive
+  const lost = new Promise(resolve => {
+    lock.once('lost', resolve)
+    setTimeout(resolve, 1000)
+  })
+  await driver.upsert('lock::renew', { owner: 'someone', expires: Date.now() + 1000 })
+  t.true(Driver.isLockNotOwned(await lost))
+})
+
+test('promised: should limit the operations in flight and reject when the queue is full', async t => {
+  const bucket = new Driver.MemoryBucket()
+  let inFlight = 0
+  let maxInFlight = 0
+  const upsert = bucket.upsert
+  bucket.upsert = function (key, value, options, fn) {
+    inFlight++
+    maxInFlight = Math.max(maxInFlight, inFlight)
+    return upsert.call(this, key, value, options, function () {
+      inFlight--
+      return fn.apply(this, arguments)
+    })
+  }
+  const driver = Driver.create(bucket, { concurrency: { max: 2, queue: 3 }, metrics: true })
+  t.true(driver.limiter instanceof Driver.ConcurrencyLimiter)
+  t.is(driver.namespace('billing').limiter, driver.limiter)
+
+  const results = await Promise.all([1, 2, 3, 4, 5, 6].map(i => driver.upsert(`doc::${i}`, { i }).catch(err => err)))
+  const rejected = results.filter(res => res instanceof Error)
+  t.is(rejected.length, 1)
+  t.true(Driver.isQueueFull(rejected[0]))
+  t.is(rejected[0].kind, Driver.ERROR_KINDS.QUEUE_FULL)
+  t.is(maxInFlight, 2)
+  t.true(driver.metrics.toPrometheus().indexOf('kind="queueFull"') > 0)
+
+  t.falsy(await driver.get('doc::6'))
+  t.deepEqual((await driver.get('doc::5')).value, { i: 5 })
+  t.is(driver.limiter.queueDepth(), 0)
+})
+
 test.cb('should get server version', t => {
   if (process.env.TEST_USE_COUCHBASE_MOCK) {
     return t.end()
@@ -339,6 +1670,142 @@ test.cb('should get server version', t => {
   })
 })
 
+test('promised: should cache the capabilities and require features', async t => {
+  const bucket = new Driver.MemoryBucket({ version: '4.1.0' })
+  let requests = 0
+  const getNodeData = bucket._getNodeData
+  bucket._getNodeData = function (fn) {
+    requests++
+    return getNodeData.call(this, fn)
+  }
+  const driver = Driver.create(bucket, { capabilitiesRefreshInterval: 0 })
+
+  const [capabilities] = await Promise.all([driver.getCapabilities(), driver.getCapabilities()])
+  t.is(requests, 1)
+  t.is(capabilities.version, '4.1.0')
+  t.true(capabilities.n1ql)
+  t.false(capabilities.subdoc)
+  t.false(capabilities.durableWrites)
+
+  const err = await t.throwsAsync(driver.requires(['n1ql', 'subdoc', 'xattr']))
+  t.true(Driver.isUnsupportedError(err))
+  t.is(err.kind, Driver.ERROR_KINDS.UNSUPPORTED)
+  t.is(err.message, 'Couchbase server 4.1.0 does not support subdoc (requires 4.5.0), xattr (requires 5.0.0)')
+  t.deepEqual(err.features.map(f => f.name), ['subdoc', 'xattr'])
+  t.is(requests, 1)
+  const unknownErr = await t.throwsAsync(driver.requires(['subdoc', 'teleport']), TypeError)
+  t.is(unknownErr.message, 'Unknown capability: teleport')
+  await new Promise(resolve => driver.requires('teleport', err => {
+    t.true(err instanceof TypeError)
+    resolve()
+  }))
+
+  // refreshing picks up upgrades and keeps the cached version if it fails
+  bucket._version = '5.5.0'
+  t.false((await driver.getCapabilities()).subdoc)
+  t.true((await driver.getCapabilities({ refresh: true })).subdoc)
+  t.is((await driver.requires('subdoc')).version, '5.5.0')
+  bucket._getNodeData = fn => setImmediate(() => fn(new Error('unreachable')))
+  t.is((await driver.getCapabilities({ refresh: true })).version, '5.5.0')
+
+  const refreshing = Driver.create(bucket, { capabilitiesRefreshInterval: 1 })
+  await t.throwsAsync(refreshing.getCapabilities(), 'unreachable')
+})
+
+function fakeManagementBucket (port) {
+  return {
+    _username: 'bucket',
+    _password: 'bucketpass',
+    _cb: { getMgmtNode: () => `127.0.0.1:${port}` },
+    _execAndUriParse (fn) {
+      return url.parse('http://' + fn.call(this._cb))
+    }
+  }
+}
+
+test('promised: should get cluster info and health with explicit credentials', async t => {
+  const nodeData = {
+    clusterName: 'test',
+    balanced: true,
+    rebalanceStatus: 'none',
+    storageTotals: { ram: { total: 100, used: 50 }, hdd: { total: 1000, used: 10 } },
+    nodes: [{
+      hostname: '10.0.0.1:8091',
+      status: 'healthy',
+      clusterMembership: 'active',
+      services: ['kv', 'n1ql'],
+      version: '5.5.2-3733-enterprise',
+      uptime: '3600',
+      memoryTotal: 8000,
+      memoryFree: 4000,
+      interestingStats: { mem_used: 100, couch_docs_actual_disk_size: 2000, couch_docs_data_size: 1500, curr_items: 7 }
+    }, {
+      hostname: '10.0.0.2:8091',
+      status: 'unhealthy',
+      clusterMembership: 'active',
+      services: ['kv'],
+      version: '5.1.0-5552-enterprise'
+    }]
+  }
+  const auths = []
+  const server = http.createServer((req, res) => {
+    const auth = Buffer.from((req.headers.authorization || '').replace('Basic ', ''), 'base64').toString()
+    auths.push(auth)
+    if (req.url !== '/pools/default' || auth !== 'admin:secret') {
+      res.writeHead(401)
+      return res.end()
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(nodeData))
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const bucket = fakeManagementBucket(server.address().port)
+
+  try {
+    const d = new Driver(bucket, { management: { username: 'admin', password: 'secret' } })
+    const info = await d.getClusterInfo()
+    t.is(info.name, 'test')
+    t.is(info.version, '5.1.0')
+    t.deepEqual(info.storage.ram, { total: 100, used: 50 })
+    t.deepEqual(info.nodes[0], {
+      hostname: '10.0.0.1:8091',
+      status: 'healthy',
+      clusterMembership: 'active',
+      services: ['kv', 'n1ql'],
+      version: '5.5.2',
+      fullVersion: '5.5.2-3733-enterprise',
+      uptime: 3600,
+      memory: { total: 8000, free: 4000, used: 100 },
+      disk: { used: 2000, data: 1500 },
+      items: 7
+    })
+    t.is(await d.getServerVersion(), '5.1.0')
+
+    const health = await d.healthCheck()
+    t.false(health.healthy)
+    t.is(health.status, 'degraded')
+    t.deepEqual(health.nodes, { total: 2, active: 2, healthy: 1 })
+    t.deepEqual(health.unhealthyNodes, ['10.0.0.2:8091'])
+    t.false(health.rebalancing)
+    t.is(typeof health.duration, 'number')
+
+    // the bucket credentials are used by default
+    const unauthorized = await new Driver(bucket).healthCheck()
+    t.is(unauthorized.status, 'unhealthy')
+    t.is(unauthorized.error, 'Node request failed. Status Code: 401')
+    t.is(auths[auths.length - 1], 'bucket:bucketpass')
+
+    const overridden = await new Driver(bucket).getClusterInfo({ username: 'admin', password: 'secret' })
+    t.is(overridden.nodes.length, 2)
+
+    const memory = await Driver.create(new Driver.MemoryBucket()).healthCheck()
+    t.true(memory.healthy)
+    t.is(memory.version, '5.5.0')
+  } finally {
+    server.close()
+  }
+})
+
 test('should work with mutateIn sync function', t => {
   if (process.env.TEST_USE_COUCHBASE_MOCK) {
     return t.pass()
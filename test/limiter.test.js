@@ -0,0 +1,67 @@
+import test from 'ava'
+import ConcurrencyLimiter from '../lib/limiter'
+
+function deferred (limiter, operation, results) {
+  let complete = null
+  limiter.run(operation, fn => {
+    complete = fn
+  }, (err, res) => results.push(err || res))
+  return value => complete(null, value)
+}
+
+test('should queue operations over the limit and start them in order', t => {
+  const limiter = new ConcurrencyLimiter({ max: 2, queue: 2 })
+  const results = []
+  const completes = [1, 2, 3, 4].map(() => deferred(limiter, 'get', results))
+
+  t.deepEqual(limiter.stats().default, { active: 2, queued: 2, max: 2, queue: 2 })
+  t.is(limiter.queueDepth('get'), 2)
+  completes[1]('b')
+  completes[0]('a')
+  t.deepEqual(results, ['b', 'a'])
+  t.is(limiter.queueDepth(), 0)
+  completes[3]('d')
+  completes[2]('c')
+  t.deepEqual(results, ['b', 'a', 'd', 'c'])
+  t.is(limiter.stats().default.active, 0)
+})
+
+test.cb('should reject operations once the queue is full', t => {
+  const limiter = new ConcurrencyLimiter({ max: 1, queue: 1 })
+  const results = []
+  deferred(limiter, 'get', results)
+  deferred(limiter, 'get', results)
+
+  limiter.run('get', () => t.fail('should not run'), err => {
+    t.is(err.name, 'QueueFullError')
+    t.is(err.kind, 'queueFull')
+    t.is(err.operation, 'get')
+    t.is(err.message, 'Operation get rejected, 1 operations already waiting')
+    t.end()
+  })
+})
+
+test('should limit operations with their own limits separately', t => {
+  const limiter = new ConcurrencyLimiter({ max: 1, queue: 5, operations: { upsert: { max: 2 }, query: { queue: 0 } } })
+  const results = []
+  deferred(limiter, 'upsert', results)
+  deferred(limiter, 'upsert', results)
+  deferred(limiter, 'get', results)
+  deferred(limiter, 'remove', results)
+
+  t.deepEqual(limiter.stats(), {
+    default: { active: 1, queued: 1, max: 1, queue: 5 },
+    upsert: { active: 2, queued: 0, max: 2, queue: 5 },
+    query: { active: 0, queued: 0, max: 1, queue: 0 }
+  })
+  t.is(limiter.queueDepth('remove'), 1)
+  t.is(limiter.queueDepth('upsert'), 0)
+})
+
+test('should free the slot if the task throws', t => {
+  const limiter = new ConcurrencyLimiter({ max: 1 })
+  t.throws(() => limiter.run('get', () => {
+    throw new Error('invalid arguments')
+  }, () => t.fail('should not call back')), 'invalid arguments')
+  t.is(limiter.stats().default.active, 0)
+})
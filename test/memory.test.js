@@ -0,0 +1,177 @@
+import test from 'ava'
+import { errors } from 'couchbase'
+import Driver from '../'
+import MemoryBucket from '../lib/memory'
+
+function call (bucket, fnName, ...args) {
+  return new Promise(resolve => {
+    bucket[fnName](...args, (err, res) => resolve({ err, res }))
+  })
+}
+
+test('should store and get documents with CAS and SDK error codes', async t => {
+  const bucket = new MemoryBucket({ name: 'memory' })
+  t.is(bucket.name, 'memory')
+
+  const inserted = await call(bucket, 'insert', 'doc::1', { a: 1 })
+  t.falsy(inserted.err)
+  t.truthy(inserted.res.cas)
+
+  const exists = await call(bucket, 'insert', 'doc::1', { a: 2 })
+  t.is(exists.err.code, errors.keyAlreadyExists)
+
+  const got = await call(bucket, 'get', 'doc::1')
+  t.deepEqual(got.res.value, { a: 1 })
+  t.is(String(got.res.cas), String(inserted.res.cas))
+
+  const stale = await call(bucket, 'upsert', 'doc::1', { a: 3 }, { cas: { toString: () => 'stale' } })
+  t.is(stale.err.code, errors.keyAlreadyExists)
+
+  const updated = await call(bucket, 'upsert', 'doc::1', { a: 3 }, { cas: got.res.cas })
+  t.falsy(updated.err)
+  t.not(String(updated.res.cas), String(got.res.cas))
+
+  t.is((await call(bucket, 'replace', 'doc::2', { a: 1 })).err.code, errors.keyNotFound)
+  t.is((await call(bucket, 'get', 'doc::2')).err.code, errors.keyNotFound)
+  t.is((await call(bucket, 'remove', 'doc::2')).err.code, errors.keyNotFound)
+
+  const multi = await call(bucket, 'getMulti', ['doc::1', 'doc::2'])
+  t.is(multi.err, 1)
+  t.deepEqual(multi.res['doc::1'].value, { a: 3 })
+  t.is(multi.res['doc::2'].error.code, errors.keyNotFound)
+
+  t.falsy((await call(bucket, 'remove', 'doc::1')).err)
+  t.is((await call(bucket, 'get', 'doc::1')).err.code, errors.keyNotFound)
+
+  bucket.disconnect()
+  t.is((await call(bucket, 'get', 'doc::1')).err.code, errors.networkError)
+})
+
+test('should lock documents until unlocked, written or timed out', async t => {
+  const bucket = new MemoryBucket()
+  await call(bucket, 'upsert', 'doc', { a: 1 })
+
+  const locked = await call(bucket, 'getAndLock', 'doc', { lockTime: 5 })
+  t.deepEqual(locked.res.value, { a: 1 })
+  t.is((await call(bucket, 'getAndLock', 'doc')).err.code, errors.temporaryError)
+  t.is((await call(bucket, 'upsert', 'doc', { a: 2 })).err.code, errors.temporaryError)
+  t.is((await call(bucket, 'remove', 'doc')).err.code, errors.temporaryError)
+
+  // reads of locked documents get a CAS that does not match
+  const got = await call(bucket, 'get', 'doc')
+  t.deepEqual(got.res.value, { a: 1 })
+  t.is((await call(bucket, 'upsert', 'doc', { a: 2 }, { cas: got.res.cas })).err.code, errors.keyAlreadyExists)
+  t.is((await call(bucket, 'unlock', 'doc', got.res.cas)).err.code, errors.keyAlreadyExists)
+
+  t.falsy((await call(bucket, 'unlock', 'doc', locked.res.cas)).err)
+  t.is((await call(bucket, 'unlock', 'doc', locked.res.cas)).err.code, errors.temporaryError)
+
+  const relocked = await call(bucket, 'getAndLock', 'doc', { lockTime: 5 })
+  t.falsy((await call(bucket, 'upsert', 'doc', { a: 2 }, { cas: relocked.res.cas })).err)
+  t.falsy((await call(bucket, 'getAndLock', 'doc', { lockTime: 5 })).err)
+
+  bucket.timeTravel(5000)
+  t.falsy((await call(bucket, 'upsert', 'doc', { a: 3 })).err)
+})
+
+test('should expire documents and count', async t => {
+  const bucket = new MemoryBucket()
+  await call(bucket, 'upsert', 'doc', { a: 1 }, { expiry: 10 })
+  await call(bucket, 'upsert', 'forever', { a: 1 })
+  await call(bucket, 'upsert', 'absolute', { a: 1 }, { expiry: Math.floor(Date.now() / 1000) + 60 })
+  bucket.timeTravel(10000)
+  t.is((await call(bucket, 'get', 'doc')).err.code, errors.keyNotFound)
+  t.falsy((await call(bucket, 'get', 'forever')).err)
+  t.falsy((await call(bucket, 'get', 'absolute')).err)
+  bucket.timeTravel(60000)
+  t.is((await call(bucket, 'get', 'absolute')).err.code, errors.keyNotFound)
+
+  t.is((await call(bucket, 'counter', 'count', 1)).err.code, errors.keyNotFound)
+  t.is((await call(bucket, 'counter', 'count', 1, { initial: 5 })).res.value, 5)
+  t.is((await call(bucket, 'counter', 'count', 2)).res.value, 7)
+  t.is((await call(bucket, 'counter', 'count', -10)).res.value, 0)
+  t.is((await call(bucket, 'get', 'count')).res.value, 0)
+  t.is((await call(bucket, 'counter', 'forever', 1)).err.code, errors.deltaBadVal)
+  t.throws(() => bucket.counter('count', 0, () => {}), TypeError)
+})
+
+test('should look up and mutate sub-document paths', async t => {
+  const bucket = new MemoryBucket()
+  await call(bucket, 'upsert', 'doc', { name: 'Bob', tags: ['a'], address: { city: 'Austin' } })
+
+  const looked = await new Promise(resolve => {
+    bucket.lookupIn('doc').get('address.city').exists('missing').getCount('tags').execute((err, frag) => {
+      resolve({ err, frag })
+    })
+  })
+  t.is(looked.err.code, errors.subdocMultiFailure)
+  t.is(looked.frag.content('address.city'), 'Austin')
+  t.false(looked.frag.exists('missing'))
+  t.is(looked.frag.contentByIndex(2), 1)
+
+  const mutated = await new Promise(resolve => {
+    bucket.mutateIn('doc')
+      .upsert('address.zip', '78701')
+      .insert('stats.logins', 1, { createParents: true })
+      .counter('stats.logins', 2)
+      .arrayAppend('tags', 'b')
+      .arrayAddUnique('tags', 'c')
+      .remove('name')
+      .execute((err, frag) => resolve({ err, frag }))
+  })
+  t.falsy(mutated.err)
+  t.is(mutated.frag.contentByIndex(2), 3)
+  t.deepEqual((await call(bucket, 'get', 'doc')).res.value, {
+    tags: ['a', 'b', 'c'],
+    address: { city: 'Austin', zip: '78701' },
+    stats: { logins: 3 }
+  })
+
+  // failing mutations do not change the document
+  const failed = await new Promise(resolve => {
+    bucket.mutateIn('doc').upsert('name', 'Bill').insert('tags', []).execute((err, frag) => resolve({ err, frag }))
+  })
+  t.is(failed.err.code, errors.subdocMultiFailure)
+  t.is(t.throws(() => failed.frag.contentByIndex(1)).code, errors.subdocPathExists)
+  t.falsy((await call(bucket, 'get', 'doc')).res.value.name)
+
+  const stale = await new Promise(resolve => {
+    bucket.mutateIn('doc', { cas: { toString: () => 'stale' } }).upsert('name', 'Bill').execute(err => resolve(err))
+  })
+  t.is(stale.code, errors.keyAlreadyExists)
+})
+
+test('promised: should be wrapped by the driver', async t => {
+  const driver = Driver.create(new Driver.MemoryBucket(), { atomicLock: true, atomicRetryTimes: 3 })
+
+  await driver.insert('user::1', { visits: 0 })
+  t.deepEqual((await driver.get(['user::1', 'user::2'])).map(res => res.value), [{ visits: 0 }])
+  t.falsy(await driver.get('user::2'))
+
+  const existsErr = await t.throwsAsync(driver.insert('user::1', {}))
+  t.true(Driver.isKeyExists(existsErr))
+
+  await Promise.all([1, 2, 3].map(() => driver.atomic('user::1', doc => {
+    doc.visits++
+    return { value: doc, action: Driver.OPERATIONS.UPSERT }
+  }, {})))
+  t.is((await driver.get('user::1')).value.visits, 3)
+
+  const locked = await driver.getAndLock('user::1')
+  const lockedErr = await t.throwsAsync(driver.getAndLock('user::1'))
+  t.true(Driver.isLocked(lockedErr))
+  t.true(Driver.isTemporaryError(lockedErr))
+  await driver.unlock('user::1', locked.cas)
+
+  t.is((await driver.counter('visits', 1, { initial: 1 })).value, 1)
+  const frag = await driver.lookupIn('user::1').get('visits').execute()
+  t.is(frag.content('visits'), 3)
+  t.is(await driver.getServerVersion(), '5.5.0')
+
+  // the clock and flush functions of the bucket return synchronously
+  await driver.upsert('session::1', { a: 1 }, { expiry: 10 })
+  t.is(driver.timeTravel(11000), undefined)
+  t.falsy(await driver.get('session::1'))
+  t.is(driver.flush(), undefined)
+  t.falsy(await driver.get('user::1'))
+})
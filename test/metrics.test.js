@@ -0,0 +1,44 @@
+import EventEmitter from 'events'
+import test from 'ava'
+import MetricsCollector from '../lib/metrics'
+
+test('should collect counters and histograms from driver events', t => {
+  const driver = new EventEmitter()
+  const collector = new MetricsCollector({ prefix: 'cb', buckets: [0.01, 0.1] }).attach(driver)
+
+  driver.emit('operationSuccess', { operation: 'get', keyPrefix: 'user', duration: 5, misses: 2 })
+  driver.emit('operationSuccess', { operation: 'get', keyPrefix: 'user', duration: 50 })
+  driver.emit('operationError', { operation: 'upsert', keyPrefix: 'user', duration: 500, error: { kind: 'timeout' } })
+  driver.emit('retry', { operation: 'atomic', keyPrefix: 'order', type: 'atomic', error: { kind: 'casMismatch' } })
+  driver.emit('atomicAttempt', { operation: 'atomic', keyPrefix: 'order', attempt: 1 })
+
+  const text = collector.toPrometheus()
+  t.true(text.includes('# TYPE cb_operations_total counter'))
+  t.true(text.includes('cb_operations_total{key_prefix="user",operation="get",status="success"} 2'))
+  t.true(text.includes('cb_operations_total{key_prefix="user",operation="upsert",status="error"} 1'))
+  t.true(text.includes('cb_errors_total{key_prefix="user",kind="timeout",operation="upsert"} 1'))
+  t.true(text.includes('cb_misses_total{key_prefix="user",operation="get"} 2'))
+  t.true(text.includes('cb_retries_total{key_prefix="order",operation="atomic",type="atomic"} 1'))
+  t.true(text.includes('cb_atomic_cas_conflicts_total{key_prefix="order",operation="atomic"} 1'))
+  t.true(text.includes('cb_atomic_attempts_total{key_prefix="order",operation="atomic"} 1'))
+  t.true(text.includes('# TYPE cb_operation_duration_seconds histogram'))
+  t.true(text.includes('cb_operation_duration_seconds_bucket{key_prefix="user",le="0.01",operation="get"} 1'))
+  t.true(text.includes('cb_operation_duration_seconds_bucket{key_prefix="user",le="0.1",operation="get"} 2'))
+  t.true(text.includes('cb_operation_duration_seconds_bucket{key_prefix="user",le="+Inf",operation="upsert"} 1'))
+  t.true(text.includes('cb_operation_duration_seconds_count{key_prefix="user",operation="get"} 2'))
+
+  collector.detach(driver)
+  driver.emit('operationSuccess', { operation: 'get', keyPrefix: 'user', duration: 5 })
+  t.true(collector.toPrometheus().includes('cb_operations_total{key_prefix="user",operation="get",status="success"} 2'))
+
+  collector.reset()
+  t.false(collector.toPrometheus().includes('cb_operations_total{'))
+})
+
+test('should escape label values', t => {
+  const driver = new EventEmitter()
+  const collector = new MetricsCollector().attach(driver)
+
+  driver.emit('operationSuccess', { operation: 'get', keyPrefix: 'a"b\\c', duration: 1 })
+  t.true(collector.toPrometheus().includes('couchbase_driver_operations_total{key_prefix="a\\"b\\\\c",operation="get",status="success"} 1'))
+})
@@ -0,0 +1,44 @@
+import test from 'ava'
+import CompressionTranscoder from '../lib/transcoder'
+
+const CF_JSON = 0x02 << 24
+const CF_UTF8 = 0x04 << 24
+const CF_PRIVATE = 0x01 << 24
+
+test('should not compress values below the threshold', t => {
+  const transcoder = new CompressionTranscoder({ threshold: 100 })
+
+  const doc = transcoder.encode({ foo: 'bar' })
+  t.is(doc.flags, CF_JSON)
+  t.is(doc.value.toString(), '{"foo":"bar"}')
+  t.false(CompressionTranscoder.isCompressed(doc.flags))
+  t.deepEqual(transcoder.decode(doc), { foo: 'bar' })
+
+  const str = transcoder.encode('hello')
+  t.is(str.flags, CF_UTF8 | 0x04)
+  t.is(transcoder.decode(str), 'hello')
+})
+
+test('should compress values above the threshold and keep the original format', t => {
+  const transcoder = new CompressionTranscoder({ threshold: 100 })
+  const value = { text: 'a'.repeat(1000) }
+
+  const doc = transcoder.encode(value)
+  t.true(CompressionTranscoder.isCompressed(doc.flags))
+  t.is(doc.flags & (0xFF << 24), CF_PRIVATE)
+  t.true(doc.value.length < 1000)
+  t.deepEqual(transcoder.decode(doc), value)
+
+  const buf = Buffer.from('b'.repeat(1000))
+  t.deepEqual(transcoder.decode(transcoder.encode(buf)), buf)
+  t.is(transcoder.decode(transcoder.encode('c'.repeat(1000))), 'c'.repeat(1000))
+})
+
+test('should decode documents written by other clients', t => {
+  const transcoder = new CompressionTranscoder()
+
+  t.deepEqual(transcoder.decode({ value: Buffer.from('{"a":1}'), flags: 0 }), { a: 1 })
+  t.deepEqual(transcoder.decode({ value: Buffer.from('{"a":1}'), flags: CF_JSON }), { a: 1 })
+  t.is(transcoder.decode({ value: Buffer.from('abc'), flags: 0x04 }), 'abc')
+  t.deepEqual(transcoder.decode({ value: Buffer.from('not json'), flags: CF_JSON }), Buffer.from('not json'))
+})